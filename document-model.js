@@ -0,0 +1,496 @@
+// Document model for the formatter core.
+// Text is tokenized once and parsed into a tree, the fix-up rules in TextProcessor change the tree,
+// and serializeDocument writes it back out, optionally with a map from output to input positions.
+// No SillyTavern imports: quote marks, placeholders and option markers are passed in by the caller.
+//
+// Node types
+// document: the whole text, its children are lines (joined with \n)
+// line: a line of text; option: a line starting with an option marker (1. A) iv.), kept out of narration
+// item: a list item or blockquote line, its marker placeholder is kept in marker, out of its children
+// dialogue: a quote, open and close hold its quote marks. close is empty if the quote isn't closed on its line.
+// emphasis, strong: *...* and **...**, ***...*** is emphasis around strong
+// marker: a run of asterisks without a partner
+// text, placeholder, code: leaves, their text is in value. Placeholders stand for protected blocks
+// and height measurements, code is `inline` or ```fenced``` code.
+// Every node has start and end, the span of the parsed text it came from. Nodes added by rules are
+// flagged as added and get the span of the nodes they wrap; their markers map to its edges.
+
+/**
+ * Splits text into tokens: newlines, asterisk runs, quote marks, placeholders, code and plain text.
+ * Repeated quote marks (""text"") form a single token.
+ * @param {string} text The text
+ * @param {{closing: Map<string, string>, placeholders: RegExp}} options Closing quote mark for each
+ * opening one, and a sticky regex matching a placeholder
+ * @returns {{type: string, value: string, start: number}[]} The tokens, covering the whole text
+ */
+export function tokenize(text, { closing, placeholders }) {
+    const quoteChars = new Set([...closing.keys(), ...closing.values()]);
+    const tokens = [];
+    let textStart = -1;
+
+    for (let i = 0; i < text.length;) {
+        const char = text[i];
+        let type = null;
+        let end = i + 1;
+
+        if (char === '\n') {
+            type = 'newline';
+        } else if (char === '*') {
+            type = 'asterisks';
+            while (text[end] === '*') end++;
+        } else if (quoteChars.has(char)) {
+            type = 'quote';
+            while (text[end] === char) end++;
+        } else if (char === '`') {
+            // Code runs to its closing backticks, or to the end of the text
+            type = 'code';
+            const fence = text.startsWith('```', i) ? '```' : '`';
+            const close = text.indexOf(fence, i + fence.length);
+            end = close === -1 ? text.length : close + fence.length;
+        } else if (char === '_') {
+            placeholders.lastIndex = i;
+            const match = placeholders.exec(text);
+            if (match) {
+                type = 'placeholder';
+                end = i + match[0].length;
+            }
+        }
+
+        if (!type) {
+            if (textStart === -1) textStart = i;
+            i++;
+            continue;
+        }
+        if (textStart !== -1) {
+            tokens.push({ type: 'text', value: text.slice(textStart, i), start: textStart });
+            textStart = -1;
+        }
+        tokens.push({ type, value: text.slice(i, end), start: i });
+        i = end;
+    }
+
+    if (textStart !== -1) {
+        tokens.push({ type: 'text', value: text.slice(textStart), start: textStart });
+    }
+    return tokens;
+}
+
+/**
+ * Parses text into a document tree, see the node types above.
+ * Quotes are matched within their line first, then asterisks are paired within each line and quote.
+ * @param {string} text The text
+ * @param {{closing: Map<string, string>, placeholders: RegExp, optionMarker: RegExp, itemMarkers?: Set<string>}} options
+ * Closing quote mark for each opening one, a sticky regex matching a placeholder, a regex matching an
+ * option marker at the start of a line, and the placeholders that stand for list and blockquote markers
+ * @returns {object} The document node
+ */
+export function parseDocument(text, { closing, placeholders, optionMarker, itemMarkers = new Set() }) {
+    const lines = [];
+    let tokens = [];
+    let lineStart = 0;
+    const endLine = end => {
+        const [first] = tokens;
+        if (first?.type === 'placeholder' && first.start === lineStart && itemMarkers.has(first.value)) {
+            lines.push({ type: 'item', marker: createLeaf(first), children: parseInline(tokens.slice(1), closing), start: lineStart, end });
+            return;
+        }
+        const type = first?.type === 'text' && first.start === lineStart && optionMarker.test(first.value) ? 'option' : 'line';
+        lines.push({ type, children: parseInline(tokens, closing), start: lineStart, end });
+    };
+
+    for (const token of tokenize(text, { closing, placeholders })) {
+        if (token.type === 'newline') {
+            endLine(token.start);
+            tokens = [];
+            lineStart = token.start + 1;
+        } else {
+            tokens.push(token);
+        }
+    }
+    endLine(text.length);
+
+    return { type: 'document', children: lines, start: 0, end: text.length };
+}
+
+/**
+ * Builds the nodes of one line: quotes first, then emphasis inside and around them.
+ * @param {object[]} tokens Tokens of the line
+ * @param {Map<string, string>} closing Closing quote mark for each opening one
+ * @returns {object[]} The line's child nodes
+ */
+function parseInline(tokens, closing) {
+    const nodes = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'quote' && closing.has(token.value[0])) {
+            const close = closing.get(token.value[0]);
+            let j = i + 1;
+            while (j < tokens.length && !(tokens[j].type === 'quote' && tokens[j].value[0] === close)) j++;
+            const closeToken = tokens[j];
+            nodes.push({
+                type: 'dialogue',
+                open: token.value,
+                close: closeToken?.value ?? '',
+                children: pairEmphasis(tokens.slice(i + 1, j).map(createLeaf)),
+                start: token.start,
+                end: closeToken ? closeToken.start + closeToken.value.length : tokenEnd(tokens[j - 1] ?? token),
+            });
+            i = j;
+            continue;
+        }
+        nodes.push(createLeaf(token));
+    }
+    return pairEmphasis(nodes);
+}
+
+const LEAF_TYPES = { text: 'text', quote: 'text', asterisks: 'marker', placeholder: 'placeholder', code: 'code' };
+
+function createLeaf(token) {
+    return { type: LEAF_TYPES[token.type], value: token.value, start: token.start, end: tokenEnd(token) };
+}
+
+function tokenEnd(token) {
+    return token.start + token.value.length;
+}
+
+/**
+ * Pairs the asterisk markers in a list of sibling nodes into emphasis and strong nodes.
+ * A marker can open if it's followed by a non-space character and close if it follows one. A closer
+ * pairs with the nearest opener of the same length; a run of three can pair with one or two,
+ * keeping the rest. Runs of four or more don't pair. Other nodes are kept as they are.
+ * @param {object[]} nodes Sibling nodes, unpaired asterisks as markers
+ * @returns {object[]} The nodes with paired markers replaced by the nodes they wrap
+ */
+export function pairEmphasis(nodes) {
+    const result = [];
+    const openers = [];  // Indexes into result of markers that can open
+
+    nodes.forEach((node, index) => {
+        if (node.type !== 'marker') {
+            result.push(node);
+            return;
+        }
+
+        const before = lastChar(nodes[index - 1]);
+        const after = firstChar(nodes[index + 1]);
+        const canOpen = after !== '' && !/\s/.test(after);
+        const canClose = before !== '' && !/\s/.test(before);
+        let closer = node;
+
+        while (closer && canClose) {
+            let o = openers.length - 1;
+            while (o >= 0 && !getPairSize(result[openers[o]], closer)) o--;
+            if (o < 0) break;
+
+            const position = openers[o];
+            const opener = result[position];
+            const size = getPairSize(opener, closer);
+            const wrapped = createEmphasis(size, result.splice(position + 1), opener.end - size, closer.start + size);
+            // Unpaired openers inside the new node stay as markers
+            openers.length = o;
+
+            if (opener.value.length > size) {
+                result[position] = { ...opener, value: opener.value.slice(size), end: opener.end - size };
+                result.push(wrapped);
+                openers.push(position);
+            } else {
+                result[position] = wrapped;
+            }
+            closer = closer.value.length > size ? { ...closer, value: closer.value.slice(size), start: closer.start + size } : null;
+        }
+
+        if (closer) {
+            result.push(closer);
+            if (canOpen) openers.push(result.length - 1);
+        }
+    });
+
+    return result;
+}
+
+function getPairSize(opener, closer) {
+    const [open, close] = [opener.value.length, closer.value.length];
+    if (open > 3 || close > 3) return 0;
+    if (open === close) return open;
+    return open === 3 || close === 3 ? Math.min(open, close) : 0;
+}
+
+function createEmphasis(size, children, start, end) {
+    if (size === 1) return { type: 'emphasis', children, start, end };
+    if (size === 2) return { type: 'strong', children, start, end };
+    return { type: 'emphasis', children: [{ type: 'strong', children, start: start + 1, end: end - 1 }], start, end };
+}
+
+const MARKERS = { emphasis: '*', strong: '**' };
+
+/**
+ * Writes a node back out as text.
+ * @param {object} node Any node
+ * @param {{positions?: boolean}} [options] Also build the position map
+ * @returns {{text: string, map: number[]|null}} The text, and for every output position (plus the
+ * end) the position in the parsed text it came from. Added markers map to the edge of what they wrap.
+ */
+export function serializeDocument(node, { positions = false } = {}) {
+    const parts = [];
+    const map = positions ? [] : null;
+    const write = (value, start, end) => {
+        parts.push(value);
+        if (map) {
+            for (let k = 0; k < value.length; k++) map.push(Math.min(start + k, end));
+        }
+    };
+    const visit = node => {
+        switch (node.type) {
+            case 'document':
+                node.children.forEach((line, index) => {
+                    if (index > 0) {
+                        const newline = node.children[index - 1].end;
+                        write('\n', newline, newline + 1);
+                    }
+                    visit(line);
+                });
+                break;
+            case 'item':
+                visit(node.marker);
+                node.children.forEach(visit);
+                break;
+            case 'dialogue':
+                write(node.open, node.start, node.start + node.open.length);
+                node.children.forEach(visit);
+                write(node.close, node.end - node.close.length, node.end);
+                break;
+            case 'emphasis':
+            case 'strong': {
+                const marker = MARKERS[node.type];
+                const size = node.added ? 0 : marker.length;
+                write(marker, node.start, node.start + size);
+                node.children.forEach(visit);
+                write(marker, node.end - size, node.end);
+                break;
+            }
+            default:
+                if (node.children) {
+                    node.children.forEach(visit);
+                } else {
+                    write(node.value, node.start, node.end);
+                }
+        }
+    };
+
+    visit(node);
+    map?.push(node.end);
+    return { text: parts.join(''), map };
+}
+
+/**
+ * Writes a list of sibling nodes back out as text.
+ * @param {object[]} nodes The nodes
+ * @returns {string} Their text
+ */
+export function serializeNodes(nodes) {
+    return nodes.map(node => serializeDocument(node).text).join('');
+}
+
+/**
+ * The first character a node writes out.
+ * @param {object} [node] The node
+ * @returns {string} The character, empty for a missing or empty node
+ */
+export function firstChar(node) {
+    if (!node) return '';
+    if (node.type === 'dialogue') return node.open[0];
+    if (MARKERS[node.type]) return '*';
+    if (node.children) return firstChar(node.children[0]);
+    return node.value[0] ?? '';
+}
+
+/**
+ * The last character a node writes out.
+ * @param {object} [node] The node
+ * @returns {string} The character, empty for a missing or empty node
+ */
+export function lastChar(node) {
+    if (!node) return '';
+    if (node.type === 'dialogue') return node.close ? node.close.at(-1) : lastChar(node.children.at(-1)) || node.open.at(-1);
+    if (MARKERS[node.type]) return '*';
+    if (node.children) return lastChar(node.children.at(-1));
+    return node.value.at(-1) ?? '';
+}
+
+/**
+ * Calls a function for every list of child nodes in the tree, children before their parents.
+ * The function may change the list in place.
+ * @param {object} node The root node
+ * @param {function(object[], object): void} callback Receives the list and the node it belongs to
+ */
+export function forEachChildList(node, callback) {
+    if (!node.children) return;
+    node.children.forEach(child => forEachChildList(child, callback));
+    callback(node.children, node);
+}
+
+/**
+ * Whether a node is text made of whitespace only.
+ * @param {object} [node] The node
+ * @returns {boolean}
+ */
+export function isWhitespace(node) {
+    return node?.type === 'text' && !/\S/.test(node.value);
+}
+
+/**
+ * Whether a node writes out any asterisks.
+ * @param {object} [node] The node
+ * @returns {boolean}
+ */
+export function hasAsterisks(node) {
+    if (!node) return false;
+    if (node.type === 'marker' || MARKERS[node.type]) return true;
+    return node.children?.some(hasAsterisks) ?? false;
+}
+
+/**
+ * Removes a node from its list. If that leaves two spaces side by side, the second one goes too.
+ * @param {object[]} nodes The list
+ * @param {number} index Index of the node to remove
+ */
+export function removeNode(nodes, index) {
+    nodes.splice(index, 1);
+    const [before, after] = [nodes[index - 1], nodes[index]];
+    if (before?.type === 'text' && after?.type === 'text' && /\s$/.test(before.value) && /^\s/.test(after.value)) {
+        const space = after.value.match(/^\s+/)[0].length;
+        nodes[index] = { ...after, value: after.value.slice(space), start: after.start + space };
+    }
+}
+
+/**
+ * Creates a node around a run of siblings, spanning them.
+ * @param {string} type Node type
+ * @param {object[]} children The nodes to wrap, at least one
+ * @returns {object} The new node
+ */
+export function wrapNodes(type, children) {
+    return { type, children, start: children[0].start, end: children.at(-1).end, added: true };
+}
+
+/**
+ * Splits the whitespace at the edges of a run of siblings off into separate text nodes.
+ * @param {object[]} nodes The nodes
+ * @returns {{leading: object[], core: object[], trailing: object[]}} Whitespace before the first
+ * non-space character, the nodes in between, and whitespace after the last one
+ */
+export function splitWhitespace(nodes) {
+    let first = nodes.findIndex(node => !isWhitespace(node));
+    if (first === -1) {
+        return { leading: nodes.slice(), core: [], trailing: [] };
+    }
+    const last = nodes.findLastIndex(node => !isWhitespace(node));
+    const leading = nodes.slice(0, first);
+    const trailing = nodes.slice(last + 1);
+    const core = nodes.slice(first, last + 1);
+
+    const head = core[0];
+    const headSpace = head.type === 'text' ? head.value.match(/^\s*/)[0].length : 0;
+    if (headSpace) {
+        leading.push({ type: 'text', value: head.value.slice(0, headSpace), start: head.start, end: head.start + headSpace });
+        core[0] = { ...head, value: head.value.slice(headSpace), start: head.start + headSpace };
+    }
+    const tail = core.at(-1);
+    const tailSpace = tail.type === 'text' ? tail.value.match(/\s*$/)[0].length : 0;
+    if (tailSpace) {
+        const end = tail.value.length - tailSpace;
+        trailing.unshift({ type: 'text', value: tail.value.slice(end), start: tail.start + end, end: tail.end });
+        core[core.length - 1] = { ...tail, value: tail.value.slice(0, end), end: tail.start + end };
+    }
+    return { leading, core, trailing };
+}
+
+/**
+ * Maps every position of a changed text to a position of the original, via a shortest edit script
+ * (Myers' diff, linear space). Characters both texts share map onto each other, inserted ones map to
+ * the position of the next shared character.
+ * @param {string} before The original text
+ * @param {string} after The changed text
+ * @returns {number[]} For every position in after, plus its end, a position in before
+ */
+export function alignText(before, after) {
+    const matches = new Int32Array(after.length).fill(-1);
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix
+        && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+    for (let i = 0; i < prefix; i++) matches[i] = i;
+    for (let i = 0; i < suffix; i++) matches[after.length - 1 - i] = before.length - 1 - i;
+    diffRange(before, prefix, before.length - suffix, after, prefix, after.length - suffix, matches);
+
+    const map = new Array(after.length + 1);
+    map[after.length] = before.length;
+    for (let j = after.length - 1; j >= 0; j--) {
+        map[j] = matches[j] !== -1 ? matches[j] : map[j + 1];
+    }
+    return map;
+}
+
+// Records the matching characters of a[aStart, aEnd) and b[bStart, bEnd) in matches (b index to a index)
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, matches) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    if (n === 0 || m === 0) return;
+
+    const snake = findMiddleSnake(a, aStart, n, b, bStart, m);
+    if (snake.distance > 1) {
+        diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, matches);
+        for (let k = 0; k < snake.u - snake.x; k++) matches[bStart + snake.y + k] = aStart + snake.x + k;
+        diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, matches);
+        return;
+    }
+
+    // One edit at most: the shorter range is a subsequence of the longer one
+    for (let i = aStart, j = bStart; i < aEnd && j < bEnd;) {
+        if (a[i] === b[j]) {
+            matches[j++] = i++;
+        } else if (n > m) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+}
+
+// Finds the middle snake of an optimal edit path: a diagonal from (x, y) to (u, v)
+function findMiddleSnake(a, aStart, n, b, bStart, m) {
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]) ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const [x0, y0] = [x, y];
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) { x++; y++; }
+            forward[offset + k] = x;
+            const c = delta - k;
+            if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[offset + c] >= n) {
+                return { x: x0, y: y0, u: x, v: y, distance: 2 * d - 1 };
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]) ? backward[offset + k + 1] : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const [x0, y0] = [x, y];
+            while (x < n && y < m && a[aStart + n - x - 1] === b[bStart + m - y - 1]) { x++; y++; }
+            backward[offset + k] = x;
+            const c = delta - k;
+            if (!odd && c >= -d && c <= d && x + forward[offset + c] >= n) {
+                return { x: n - x, y: m - y, u: n - x0, v: m - y0, distance: 2 * d };
+            }
+        }
+    }
+    return { x: 0, y: 0, u: 0, v: 0, distance: n + m };
+}
@@ -0,0 +1,419 @@
+// Parts of the SillyTavern glue in index.js that need neither SillyTavern nor the DOM, so
+// tests/run-tests.js can test them.
+import { formatterDefaults } from './text-processor.js';
+import { TEST_CASES, runTestCase } from './test-cases.js';
+
+// Extension name
+export const extensionName = "format-fixer";
+
+/**
+ * Finds the common start and end of two texts; what lies between them is the change.
+ * @param {string} before Text before formatting
+ * @param {string} after Text after formatting
+ * @returns {{prefix: number, suffix: number}} Lengths of the common start and end
+ */
+export function getUnchangedEnds(before, after) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix
+        && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+        suffix++;
+    }
+    return { prefix, suffix };
+}
+
+/**
+ * Measures a change by the differing middle part of two texts, after their common start and end.
+ * @param {string} before Text before formatting
+ * @param {string} after Text after formatting
+ * @returns {{removed: number, added: number}} Number of characters removed and added
+ */
+export function getChangeSize(before, after) {
+    const { prefix, suffix } = getUnchangedEnds(before, after);
+    return { removed: before.length - prefix - suffix, added: after.length - prefix - suffix };
+}
+
+// Test suite. The user's own cases are kept under ids starting with user_.
+
+const USER_TEST_CASE_GROUP = "Your Cases";
+
+function isUserTestCase(id) {
+    return id.startsWith('user_');
+}
+
+/**
+ * Returns the built-in test cases followed by the user's, which are listed under their own group.
+ * @param {Object<string, object>} userCases The user's test cases by id
+ * @returns {Object<string, object>} Test cases by id
+ */
+export function combineTestCases(userCases) {
+    const grouped = Object.fromEntries(Object.entries(userCases)
+        .map(([id, testCase]) => [id, { ...testCase, group: USER_TEST_CASE_GROUP }]));
+    return { ...TEST_CASES, ...grouped };
+}
+
+/**
+ * Resolves the settings a test case runs with: the formatter defaults with the case's own options
+ * on top, like tests/run-tests.js, so the result doesn't depend on the user's settings.
+ * @param {object} testCase Test case
+ * @returns {object} Effective settings
+ */
+export function getTestCaseSettings(testCase) {
+    return {
+        ...formatterDefaults,
+        untilStable: !!testCase.untilStable,
+        ...testCase.settings,
+        enabled: true,
+        style: testCase.style ?? 'italic_narration',
+    };
+}
+
+/**
+ * Makes a user test case. The case keeps every formatter option, including the rule tables
+ * and the pipeline, so it gives the same result later whatever the settings are by then.
+ * @param {string} name Name of the case
+ * @param {string} input Input text
+ * @param {string} expected Expected output
+ * @param {object} settings Settings the output was made with
+ * @returns {object} The test case
+ */
+export function createUserTestCase(name, input, expected, settings) {
+    return {
+        name,
+        input,
+        expected,
+        style: settings.style,
+        untilStable: settings.untilStable,
+        // The style is stored on its own, and saved cases always run enabled
+        settings: structuredClone(Object.fromEntries(Object.keys(formatterDefaults)
+            .filter(key => key !== 'style' && key !== 'enabled')
+            .map(key => [key, settings[key]]))),
+    };
+}
+
+/**
+ * Runs every test case that has an input.
+ * @param {import('./text-processor.js').TextProcessor} processor Formatter
+ * @param {Object<string, object>} testCases Test cases by id
+ * @returns {{id: string, testCase: object, passed: boolean, actual: string, expected: string}[]} The results
+ */
+export function runTestSuite(processor, testCases) {
+    return Object.entries(testCases)
+        .filter(([, testCase]) => testCase.input)
+        .map(([id, testCase]) => ({ id, testCase, ...runTestCase(processor, testCase, getTestCaseSettings(testCase)) }));
+}
+
+/**
+ * Checks that imported data is a set of test cases and normalizes it. Ids that could
+ * clash with built-in cases get the user_ prefix.
+ * @param {*} data Parsed JSON
+ * @returns {Object<string, object>} Test cases by id
+ */
+export function parseTestCases(data) {
+    const entries = data && typeof data === 'object' && !Array.isArray(data) ? Object.entries(data) : null;
+    if (!entries || entries.some(([, testCase]) => ['name', 'input', 'expected'].some(key => typeof testCase?.[key] !== 'string'))) {
+        throw new Error('Expected test cases by id, each with a name, input and expected output.');
+    }
+    return Object.fromEntries(entries.map(([id, testCase]) => [
+        isUserTestCase(id) ? id : `user_${id}`,
+        {
+            name: testCase.name,
+            input: testCase.input,
+            expected: testCase.expected,
+            ...(typeof testCase.style === 'string' ? { style: testCase.style } : {}),
+            ...(testCase.untilStable ? { untilStable: true } : {}),
+            ...(testCase.settings && typeof testCase.settings === 'object' ? { settings: testCase.settings } : {}),
+            ...(Array.isArray(testCase.lint) ? { lint: testCase.lint } : {}),
+        },
+    ]));
+}
+
+// Chat messages and their swipes
+
+/**
+ * Resolves the settings of many chat messages, once for each author, since they only differ per
+ * character. User messages and some greetings have no avatar, so the role is part of the key.
+ * @param {function(object): object} getMessageSettings Resolves the settings of one message
+ * @returns {function(object): {settings: object, settingsKey: string}} Settings of a message, and
+ * their key for the format cache
+ */
+export function createMessageSettingsResolver(getMessageSettings) {
+    const settingsByAuthor = new Map();
+    return message => {
+        const author = `${Boolean(message.is_user)}/${message.original_avatar ?? ''}`;
+        if (!settingsByAuthor.has(author)) {
+            const settings = getMessageSettings(message);
+            settingsByAuthor.set(author, { settings, settingsKey: JSON.stringify(settings) });
+        }
+        return settingsByAuthor.get(author);
+    };
+}
+
+/**
+ * Formats the latest messages of an outgoing chat history, as deep as each author's settings
+ * ask. The array holds the stored messages themselves, so changed ones are replaced with copies.
+ * @param {object[]} chat Messages the prompt is built from
+ * @param {function(object): {settings: object, settingsKey: string}} getSettingsOf See createMessageSettingsResolver
+ * @param {function(string, object, string): string} format Formats a text with the settings and their key
+ */
+export function formatPromptMessages(chat, getSettingsOf, format) {
+    for (let i = 0; i < chat.length; i++) {
+        const message = chat[i];
+        if (!message || message.is_system || typeof message.mes !== 'string' || !message.mes) continue;
+
+        const { settings, settingsKey } = getSettingsOf(message);
+        const depth = chat.length - i;
+        if (!settings.formatPrompt || (settings.formatPromptDepth > 0 && depth > settings.formatPromptDepth)) continue;
+
+        const formatted = format(message.mes, settings, settingsKey);
+        if (formatted !== message.mes) {
+            chat[i] = { ...message, mes: formatted };
+        }
+    }
+}
+
+export function hasSwipes(message) {
+    return Array.isArray(message.swipes) && message.swipes.length > 0;
+}
+
+/**
+ * Returns the text of every swipe of a message, or just its current text
+ * for messages without swipes (e.g. user messages).
+ * @param {object} message Chat message
+ * @returns {string[]} Swipe texts indexed by swipe id
+ */
+export function getSwipeTexts(message) {
+    return hasSwipes(message) ? message.swipes : [message.mes];
+}
+
+/**
+ * Returns the extra data of one swipe of a message. The visible swipe keeps it in message.extra,
+ * the others in swipe_info[n].extra, which SillyTavern copies back into message.extra when swiping.
+ * @param {object} message Chat message
+ * @param {number} swipeIndex Swipe id
+ * @returns {object|undefined} The swipe's extra data
+ */
+function getSwipeExtra(message, swipeIndex) {
+    return (!hasSwipes(message) || swipeIndex === message.swipe_id)
+        ? message.extra
+        : message.swipe_info?.[swipeIndex]?.extra;
+}
+
+/**
+ * Returns the reasoning SillyTavern parsed out of one swipe of a message and keeps apart from its text.
+ * @param {object} message Chat message
+ * @param {number} swipeIndex Swipe id
+ * @returns {string} The reasoning, empty if there is none
+ */
+export function getSwipeReasoning(message, swipeIndex) {
+    const reasoning = getSwipeExtra(message, swipeIndex)?.reasoning;
+    return typeof reasoning === 'string' ? reasoning : '';
+}
+
+export function setSwipeReasoning(message, swipeIndex, reasoning) {
+    if (!hasSwipes(message) || swipeIndex === message.swipe_id) {
+        message.extra ??= {};
+        message.extra.reasoning = reasoning;
+    }
+    const swipeInfo = hasSwipes(message) ? message.swipe_info?.[swipeIndex] : null;
+    if (swipeInfo?.extra) {
+        swipeInfo.extra.reasoning = reasoning;
+    }
+}
+
+/**
+ * Stores formatted reasoning of one swipe. The reasoning from before the first change is kept,
+ * so reverting a message to its original text restores its reasoning too.
+ * @param {object} message Chat message
+ * @param {number} swipeIndex Swipe id
+ * @param {{before: string, after: string}|null} reasoning Result of formatSwipeReasoning
+ * @returns {boolean} Whether the reasoning changed
+ */
+export function applyFormattedReasoning(message, swipeIndex, reasoning) {
+    if (!reasoning || reasoning.after === reasoning.before) {
+        return false;
+    }
+    const data = getFormatData(message, swipeIndex);
+    setSwipeReasoning(message, swipeIndex, reasoning.after);
+    setFormatData(message, swipeIndex, { ...data, originalReasoning: data.originalReasoning ?? reasoning.before });
+    return true;
+}
+
+export function setSwipeText(message, swipeIndex, text) {
+    if (hasSwipes(message)) {
+        message.swipes[swipeIndex] = text;
+    }
+    if (!hasSwipes(message) || swipeIndex === message.swipe_id) {
+        message.mes = text;
+    }
+}
+
+/**
+ * Returns the extension's stored data for one swipe of a message.
+ * The visible swipe keeps its data in message.extra, the others in swipe_info[n].extra,
+ * which SillyTavern copies back into message.extra when swiping.
+ * @param {object} message Chat message
+ * @param {number} swipeIndex Swipe id
+ * @returns {object} Stored data, empty object if there is none
+ */
+export function getFormatData(message, swipeIndex) {
+    return getSwipeExtra(message, swipeIndex)?.[extensionName] ?? {};
+}
+
+export function setFormatData(message, swipeIndex, data) {
+    if (!hasSwipes(message) || swipeIndex === message.swipe_id) {
+        message.extra ??= {};
+        message.extra[extensionName] = data;
+    }
+    // Keep swipe_info in sync for the visible swipe too, otherwise the data is lost when swiping away
+    const swipeInfo = hasSwipes(message) ? message.swipe_info?.[swipeIndex] : null;
+    if (swipeInfo) {
+        swipeInfo.extra ??= {};
+        swipeInfo.extra[extensionName] = structuredClone(data);
+    }
+}
+
+/**
+ * Returns the swipes of a message a format pass should change. Swipes that were already formatted
+ * are skipped unless forced, so manual edits survive swiping, and so are empty ones.
+ * @param {object} message Chat message
+ * @param {object} [options]
+ * @param {boolean} [options.forceCurrent=false] Include the visible swipe even if it was formatted before
+ * @param {boolean} [options.force=false] Include every swipe even if it was formatted before
+ * @param {boolean} [options.onlyCurrent=false] Leave the other swipes out
+ * @returns {number[]} Swipe ids
+ */
+export function getSwipesToFormat(message, { forceCurrent = false, force = false, onlyCurrent = false } = {}) {
+    const currentSwipe = hasSwipes(message) ? message.swipe_id : 0;
+    return getSwipeTexts(message).flatMap((text, swipeIndex) => {
+        const isCurrent = swipeIndex === currentSwipe;
+        if (onlyCurrent && !isCurrent) return [];
+        if (getFormatData(message, swipeIndex).formatted && !force && !(forceCurrent && isCurrent)) return [];
+        return typeof text === 'string' && text ? [swipeIndex] : [];
+    });
+}
+
+/**
+ * Stores the result of a format pass on one swipe: its new text, the history entry and the formatted flag.
+ * Doesn't re-render or save the chat.
+ * @param {object} message Chat message
+ * @param {number} swipeIndex Swipe id
+ * @param {string} text Text before formatting
+ * @param {string} formatted Text after formatting
+ * @param {number} historyLimit How many earlier versions to keep
+ * @returns {boolean} Whether the text changed
+ */
+export function applyFormattedText(message, swipeIndex, text, formatted, historyLimit) {
+    let updated = { ...getFormatData(message, swipeIndex), formatted: true };
+    if (formatted !== text) {
+        setSwipeText(message, swipeIndex, formatted);
+        updated = recordFormatHistory(updated, text, historyLimit);
+    }
+    setFormatData(message, swipeIndex, updated);
+    return formatted !== text;
+}
+
+/**
+ * Adds the text a message had before a format pass to its stored format data.
+ * The very first pre-format text is kept as the original; older history entries
+ * beyond the limit are dropped.
+ * @param {object} data Stored format data of one swipe
+ * @param {string} previousText Text before formatting
+ * @param {number} limit Maximum number of history entries
+ * @returns {object} Updated format data
+ */
+export function recordFormatHistory(data, previousText, limit) {
+    const history = [...(data.history ?? []), { text: previousText, date: Date.now() }];
+    return {
+        ...data,
+        original: data.original ?? previousText,
+        history: history.slice(Math.max(0, history.length - Math.max(0, Number(limit) || 0))),
+    };
+}
+
+// Input box
+
+/**
+ * Checks a key press against a shortcut such as "Alt+Shift+F": modifiers and a key joined by +.
+ * Letters and digits are compared by physical key, since Alt changes the typed character on some layouts.
+ * @param {KeyboardEvent} event Keydown event
+ * @param {string} shortcut The shortcut, empty for none
+ * @returns {boolean} Whether the event is the shortcut
+ */
+export function matchesShortcut(event, shortcut) {
+    const parts = String(shortcut ?? '').split('+').map(part => part.trim().toLowerCase()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) {
+        return false;
+    }
+    const modifiers = { ctrl: event.ctrlKey, alt: event.altKey, shift: event.shiftKey, meta: event.metaKey };
+    if (Object.entries(modifiers).some(([name, pressed]) => pressed !== parts.includes(name))) {
+        return false;
+    }
+    return event.key.toLowerCase() === key || event.code.toLowerCase() === `key${key}` || event.code.toLowerCase() === `digit${key}`;
+}
+
+// Display-only and prompt-only formatting
+
+/**
+ * Makes a formatter that reuses earlier results, since display-only and prompt-only modes format
+ * the same unchanged messages again on every render or generation. Results are kept by text,
+ * the oldest are dropped first.
+ * @param {function(string, object): string} format Formats a text with the settings
+ * @param {number} limit Most texts kept
+ * @returns {function(string, object, string=): string} Formats a text with the settings, and
+ * optionally the key that identifies them, so changing the settings invalidates the cache
+ */
+export function createFormatCache(format, limit) {
+    const cache = new Map();
+    return (text, settings, settingsKey = JSON.stringify(settings)) => {
+        const cached = cache.get(text);
+        if (cached?.settingsKey === settingsKey) {
+            // Move it to the end, the oldest entries are dropped first
+            cache.delete(text);
+            cache.set(text, cached);
+            return cached.formatted;
+        }
+
+        const formatted = format(text, settings);
+        cache.delete(text);
+        cache.set(text, { settingsKey, formatted });
+        if (cache.size > limit) {
+            cache.delete(cache.keys().next().value);
+        }
+        return formatted;
+    };
+}
+
+/**
+ * Whether any settings layer turns display-only formatting on, so messages can skip resolving their
+ * settings while no layer does.
+ * @param {object} settings The extension settings
+ * @param {object} [chatLayer] Settings of the current chat
+ * @returns {boolean}
+ */
+export function isDisplayOnlyUsed(settings, chatLayer) {
+    const overrides = [settings.overrides.models, settings.overrides.characters, settings.overrides.groups]
+        .flatMap(layer => Object.values(layer));
+    return [settings, ...overrides, chatLayer].some(values => values?.displayOnly);
+}
+
+/**
+ * Picks the text a message is shown with in the chat view.
+ * @param {object} message Chat message
+ * @param {object} settings Its effective settings
+ * @param {boolean} raw Whether its raw toggle shows it as written
+ * @param {function(string, object): string} format Formats a text with the settings
+ * @returns {{displayed: boolean, formatted: boolean, text: string}} Whether display-only mode applies,
+ * whether the text is formatted, and the text
+ */
+export function getDisplayedText(message, settings, raw, format) {
+    const displayed = Boolean(settings.autoFormat && settings.displayOnly);
+    // SillyTavern shows display_text instead of the message when there is one, e.g. a translation
+    const shown = message.extra?.display_text ?? message.mes;
+    const formatted = displayed && !raw;
+    return { displayed, formatted, text: formatted ? format(shown, settings) : shown };
+}
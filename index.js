@@ -1,1198 +1,1507 @@
 import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
 import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } from "../../../slash-commands/SlashCommandArgument.js";
 import { extension_settings } from "../../../extensions.js";
-
-// Extension name
-const extensionName = "format-fixer";
+import { stringToRange } from "../../../utils.js";
+import {
+    TextProcessor, formatterDefaults, OUTPUT_STYLES, LOCALE_PROFILES, DEFAULT_UNCENSOR_RULES, resolvePipeline, validatePipeline,
+    DEFAULT_PROTECTED_REGIONS, PROTECTED_REGION_KINDS, PROTECTED_REGION_MODES, PROTECTED_REGION_UNCLOSED,
+    DEFAULT_REASONING_DELIMITERS, REASONING_MODES,
+} from "./text-processor.js";
+import { TEST_CASES, runTestCase } from "./test-cases.js";
+import {
+    extensionName, getUnchangedEnds, getChangeSize, combineTestCases, getTestCaseSettings, runTestSuite, parseTestCases,
+    createUserTestCase, hasSwipes, getSwipeTexts, getSwipeReasoning, setSwipeReasoning, setSwipeText, getFormatData,
+    setFormatData, getSwipesToFormat, applyFormattedText, applyFormattedReasoning, matchesShortcut,
+    createMessageSettingsResolver, formatPromptMessages, createFormatCache, isDisplayOnlyUsed, getDisplayedText,
+} from "./extension-helpers.js";
+
+// Defaults for the formatter options plus the ones used by the extension itself
 const formatFixerDefaults = {
-    processQuotes: false,
+    ...formatterDefaults,
+    autoFormat: false,
+    autoFormatReceived: true,
+    autoFormatSwipes: true,
+    autoFormatContinues: true,
+    autoFormatEdits: false,
+    autoFormatStreaming: false,
+    displayOnly: false,
+    formatOnSend: false,
+    formatOnPaste: false,
+    formatPrompt: false,
+    formatPromptDepth: 0,
+    // Formats the send box, see matchesShortcut. Not layered: it's the same key everywhere.
+    inputShortcut: 'Alt+Shift+F',
+    historyLimit: 5,
+    untilStable: true,
+    // Set once characters tagged "Assistant" have been given a character override, see migrateAssistantTag
+    assistantTagMigrated: false,
+    // Test cases saved from the settings panel, by id. See the test suite section.
+    userTestCases: {},
+    // Per-layer overrides, see resolveSettings. Chat overrides live in the chat metadata.
+    overrides: {
+        models: {},
+        characters: {},
+        groups: {},
+    },
 };
 
-// Test cases
-const TEST_CASES = {
-    basic: {
-        name: "Basic Quote and Narrative",
-        input: '*"Hello,"* she said *"I\'m happy to meet you."*',
-        expected: '"Hello," *she said* "I\'m happy to meet you."'
+const REASONING_MODE_LABELS = { protect: "Leave alone", format: "Format separately" };
+
+// Options shown in the settings panel. Every one of them can be overridden per model, character, group or chat.
+const SETTING_DEFINITIONS = [
+    {
+        key: 'enabled',
+        type: 'boolean',
+        label: "Enable Formatting",
+        title: "When disabled, text is left exactly as written. Turn off in a layer to disable formatting for that model, character, group or chat.",
+    },
+    {
+        key: 'processQuotes',
+        type: 'boolean',
+        label: "Process Quotes",
+        title: "When enabled, removes asterisks directly surrounding quotation marks.\nEnable if using a very low-power model that frequently places these incorrectly, otherwise leave disabled.",
+    },
+    {
+        key: 'uncensor',
+        type: 'boolean',
+        label: "Uncensor",
+        title: "Replaces censored words such as f__k using the uncensor rules below.",
     },
-    nested: {
-        name: "Nested Emphasis",
-        input: '*The cat was *very* cute* "He was *quite* happy"',
-        expected: '*The cat was **very** cute* "He was **quite** happy"'
+    {
+        key: 'style',
+        type: 'select',
+        label: "Output Style",
+        title: "The convention used for narration, dialogue and emphasis.",
+        options: () => Object.entries(OUTPUT_STYLES).map(([value, style]) => ({ value, label: style.name })),
     },
-    complex: {
-        name: "Complex Mixed Formatting",
-        input: '*"Where did they go?"* The cat wondered, watching the *mysterious* figure disappear into the *dark and *spooky* night.*',
-        expected: '"Where did they go?" *The cat wondered, watching the **mysterious** figure disappear into the dark and **spooky** night.*'
+    {
+        key: 'locale',
+        type: 'select',
+        label: "Language",
+        title: "Quotation marks that count as dialogue, which ones are kept or converted, and the spacing rules around punctuation.",
+        options: () => Object.entries(LOCALE_PROFILES).map(([value, locale]) => ({ value, label: locale.name })),
     },
-    narrative_quote: {
-        name: "Quote Within Narrative",
-        input: '*The man needed no "help" to fetch his gun*',
-        expected: '*The man needed no "help" to fetch his gun*'
+    {
+        key: 'reasoningMode',
+        type: 'select',
+        label: "Reasoning",
+        title: "How reasoning is handled: blocks between the reasoning delimiters below, and the reasoning SillyTavern keeps separately from the message. Format separately formats it on its own, as a separate document.",
+        options: () => REASONING_MODES.map(value => ({ value, label: REASONING_MODE_LABELS[value] })),
     },
-    spacing_issues: {
-        name: "Spacing Issues",
-        input: "I  've got     way too many    spaces   - in my text  .",
-        expected: "*I've got way too many spaces - in my text.*"
+    {
+        key: 'untilStable',
+        type: 'boolean',
+        label: "Format Until Stable",
+        title: "Repeats the formatting passes until the text stops changing, so formatting an already formatted message changes nothing.",
     },
-    cyoa: {
-        name: "CYOA Options",
-        input: '*The ancient tome presents you with several choices:*\n\n1. Open the mysterious door\n2> Investigate the strange sounds\nA) Talk to the old man\nB. Run away as fast as possible',
-        expected: '*The ancient tome presents you with several choices:*\n\n1. Open the mysterious door\n2> Investigate the strange sounds\nA) Talk to the old man\nB. Run away as fast as possible'
+    {
+        key: 'maxPasses',
+        type: 'number',
+        label: "Maximum Passes",
+        title: "Gives up after this many passes. Formatting that keeps alternating between two results is reported and stopped early.",
+        min: 1,
+        max: 20,
+        indent: true,
     },
-    height_measurement: {
-        name: "Height Measurement Protection",
-        input: '*She was 5\'10" tall and wore a "beautiful" dress*',
-        expected: '*She was 5\'10" tall and wore a "beautiful" dress*'
+    {
+        key: 'historyLimit',
+        type: 'number',
+        label: "Format History Size",
+        title: "How many earlier versions of each formatted message (and swipe) to keep for reverting. The original text is always kept.",
+        min: 0,
+        max: 50,
     },
-    single_word_emphasis: {
-        name: "Single Word Emphasis at Line Start",
-        input: '**Bold.**\n**Bold** text here\n**Another** bold word\nSome **inline** bold',
-        expected: '***Bold.***\n***Bold** text here*\n***Another** bold word*\n*Some **inline** bold*'
+    {
+        key: 'autoFormat',
+        type: 'boolean',
+        label: "Auto-format AI Messages",
+        title: "Automatically formats AI messages once generation finishes, including every swipe of the message.",
     },
-    html_comment: {
-        name: "HTML Comment Protection",
-        input: '<!-- header -->\nShe stepped inside, heart pounding.',
-        expected: '<!-- header -->\n*She stepped inside, heart pounding.*'
+    { key: 'autoFormatReceived', type: 'boolean', label: "New messages and regenerations", indent: true },
+    { key: 'autoFormatSwipes', type: 'boolean', label: "Swipes", indent: true },
+    { key: 'autoFormatContinues', type: 'boolean', label: "Continued messages", indent: true },
+    {
+        key: 'autoFormatEdits',
+        type: 'boolean',
+        label: "Edited messages",
+        title: "Reformats an AI message after you edit it by hand.",
+        indent: true,
     },
-    html_inline: {
-        name: "HTML Inline Element Protection",
-        input: '*She reached out and touched the <span style="color:red">glowing crystal</span>, feeling its warmth.*',
-        expected: '*She reached out and touched the <span style="color:red">glowing crystal</span>, feeling its warmth.*'
+    {
+        key: 'autoFormatStreaming',
+        type: 'boolean',
+        label: "Live while streaming",
+        title: "Shows the reply formatted while it streams in. The unfinished end of the current line is shown as written until its quotes and emphasis are closed.",
+        indent: true,
     },
-    html_block: {
-        name: "HTML Block Element Protection",
-        input: '<div class="choice-box">\n  **Option A:** Run away\n  **Option B:** Stay and fight\n</div>\n\nShe made her choice.',
-        expected: '<div class="choice-box">\n  **Option A:** Run away\n  **Option B:** Stay and fight\n</div>\n\n*She made her choice.*'
+    {
+        key: 'displayOnly',
+        type: 'boolean',
+        label: "Display Only",
+        title: "Formats AI messages only in the chat view. The stored text stays as the model wrote it, for exports and other extensions. Each message gets a button to show its raw text.",
+        indent: true,
     },
-    html_void: {
-        name: "HTML Void Element Protection",
-        input: 'The door opened.<br>She stepped inside, heart pounding.',
-        expected: '*The door opened.<br>She stepped inside, heart pounding.*'
+    {
+        key: 'formatOnSend',
+        type: 'boolean',
+        label: "Format My Messages on Send",
+        title: "Formats your message as it is sent, before it goes into the prompt. If formatting fails, the message is sent as written.",
     },
-    html_style: {
-        name: "HTML Style Block Protection",
-        input: '<style>.choice { color: red; font-weight: bold; }</style>\n\nShe made her choice.',
-        expected: '<style>.choice { color: red; font-weight: bold; }</style>\n\n*She made her choice.*'
+    {
+        key: 'formatOnPaste',
+        type: 'boolean',
+        label: "Format Pasted Text",
+        title: "Formats text pasted into the send box as it is inserted. Ctrl+Z undoes the paste.",
     },
-    custom: {
-        name: "Custom Input",
-        input: "",
-        expected: ""
+    {
+        key: 'formatPrompt',
+        type: 'boolean',
+        label: "Format Prompt History",
+        title: "Formats the chat history in the prompt sent to the AI, without changing the stored messages, so the model sees a consistent style to copy.",
+    },
+    {
+        key: 'formatPromptDepth',
+        type: 'number',
+        label: "Messages to Format (0 for all)",
+        title: "Only formats this many of the latest messages in the prompt. Older ones are sent as stored.",
+        min: 0,
+        max: 1000,
+        indent: true,
+    },
+];
+
+// Initialize processor
+const processor = new TextProcessor();
+
+// Settings management
+// loadSettings fills in missing defaults and saves if it had to; it runs at startup and before the
+// settings are changed. getSettings only reads them, for code that runs per message or per frame.
+function loadSettings() {
+    const context = SillyTavern.getContext();
+    let changed = false;
+
+    // Create the settings if they don't exist or are empty
+    if (!context.extensionSettings[extensionName] || Object.keys(context.extensionSettings[extensionName]).length === 0) {
+        context.extensionSettings[extensionName] = structuredClone(formatFixerDefaults);
+        changed = true;
+    } else {
+        // Ensure all default keys exist if settings were loaded but might be from an older version
+        for (const key in formatFixerDefaults) {
+            if (context.extensionSettings[extensionName][key] === undefined) {
+                context.extensionSettings[extensionName][key] = structuredClone(formatFixerDefaults[key]);
+                changed = true;
+            }
+        }
+    }
+
+    // Last ditch attempt to ensure settings exist
+    if (context.extensionSettings[extensionName].processQuotes === undefined) {
+        context.extensionSettings[extensionName].processQuotes = false;
+        changed = true;
     }
+
+    if (changed) {
+        context.saveSettingsDebounced();
+    }
+    return context.extensionSettings[extensionName];
+}
+
+/**
+ * Reads the settings without filling in defaults or saving. Must not be changed through.
+ * @returns {object} The stored settings, the defaults before loadSettings has run
+ */
+function getSettings() {
+    const settings = SillyTavern.getContext().extensionSettings[extensionName];
+    return settings && Object.keys(settings).length ? settings : formatFixerDefaults;
+}
+
+// Settings layers
+// Effective settings are resolved from the lowest to the highest priority layer:
+// global, then connected API/model, then character, then group, then the individual chat.
+// Override layers only hold the keys they change; anything missing is inherited.
+const SETTINGS_LAYER_NAMES = {
+    global: "Global",
+    model: "Model",
+    character: "Character",
+    group: "Group",
+    chat: "Chat",
 };
 
-class TextProcessor {
-    constructor() {
-        this.debugLog = [];
-        this.protectedBlockPlaceholderPrefix = "__PROTECTED_BLOCK_PLACEHOLDER_"; // Generic prefix
-        this.protectedBlockPlaceholderSuffix = "__";
-    }
-
-    /**
-     * Extracts protected blocks (<think>, Message # tags) and replaces them with unique placeholders.
-     * Handles both closed <think>...</think> and unclosed <think>...EOF.
-     * Handles Message Number tags at the start of lines.
-     * @param {string} text The input text.
-     * @returns {{text: string, protectedBlocks: Map<string, string>}} Object with text containing placeholders and a map of placeholders to original content.
-     */
-    extractProtectedBlocks(text) {
-        const protectedBlocks = new Map();
-        let processedText = text;
-        let index = 0;
-        const generatePlaceholder = () => `${this.protectedBlockPlaceholderPrefix}${index++}${this.protectedBlockPlaceholderSuffix}`;
-
-        // 1. Extract <think>...</think> blocks
-        const closedThinkRegex = /<think>(.*?)<\/think>/gs;
-        processedText = processedText.replace(closedThinkRegex, (match) => {
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, match); // Store the full tag and content
-            return placeholder;
-        });
+/**
+ * Returns the key identifying the connected API and model, e.g. "openai/gpt-4o".
+ * @param {object} context SillyTavern context
+ * @returns {string|null} API/model key, or just the API if no model is known
+ */
+function getModelKey(context) {
+    const api = context.mainApi;
+    if (!api) {
+        return null;
+    }
+    let model = null;
+    try {
+        model = api === 'openai' ? context.getChatCompletionModel?.() : context.onlineStatus;
+    } catch (error) {
+        console.debug('Format Fixer could not read the connected model:', error);
+    }
+    return model && model !== 'no_connection' ? `${api}/${model}` : api;
+}
 
-        // Check for unclosed <think> tag at the end of the text
-        // This regex matches <think> followed by any characters until the end of the string
-        // 2. Extract unclosed <think>...EOF blocks
-        const unclosedThinkMatch = processedText.match(/<think>(.*)$/s);
-        if (unclosedThinkMatch) {
-            const fullMatch = unclosedThinkMatch[0];
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, fullMatch); // Store the tag and content to EOF
-            // Replace the unclosed tag and everything after it with the placeholder
-            processedText = processedText.replace(/<think>(.*)$/s, placeholder);
-        }
+/**
+ * Lists the settings layers that apply in the current context, lowest priority first.
+ * @param {object} [options]
+ * @param {string} [options.avatar] Character whose layer to use, e.g. the author of a group chat message
+ * @returns {{id: string, label: string, key?: string, values: object}[]} Applicable layers
+ */
+function getSettingsLayers({ avatar } = {}) {
+    const context = SillyTavern.getContext();
+    const settings = getSettings();
+    const layers = [{ id: 'global', label: SETTINGS_LAYER_NAMES.global, values: settings }];
 
-        // 3. Extract "Message #X: " tags at the start of lines
-        // [^*\n]*? instead of .*? so leading asterisks added by prior formatting
-        // passes are NOT consumed into the placeholder, which would cause each
-        // subsequent pass to prepend another asterisk.
-        const messageNumRegex = /^([^*\n]*? Message #\d+: )/gm; // Use multiline flag
-        processedText = processedText.replace(messageNumRegex, (match, group1) => {
-            // group1 contains the matched tag, e.g., "User Message #1: "
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, group1); // Store the matched tag
-            return placeholder; // Replace the tag with the placeholder
-        });
+    const modelKey = getModelKey(context);
+    if (modelKey) {
+        layers.push({ id: 'model', label: `${SETTINGS_LAYER_NAMES.model}: ${modelKey}`, key: modelKey, values: settings.overrides.models[modelKey] ?? {} });
+    }
 
-        // 4. Extract square bracket blocks [...]
-        // Matches [content] including newlines, non-greedy
-        processedText = processedText.replace(/\[(.*?)\]/gs, (match) => {
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, match);
-            return placeholder;
-        });
+    const character = avatar
+        ? context.characters.find(c => c.avatar === avatar)
+        : (context.groupId ? null : context.characters[context.characterId]);
+    if (character) {
+        layers.push({ id: 'character', label: `${SETTINGS_LAYER_NAMES.character}: ${character.name}`, key: character.avatar, values: settings.overrides.characters[character.avatar] ?? {} });
+    }
 
-        // 5. Extract unclosed square bracket blocks [...EOF
-        const unclosedSquareBracketMatch = processedText.match(/\[(.*)$/s);
-        if (unclosedSquareBracketMatch) {
-            const fullMatch = unclosedSquareBracketMatch[0];
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, fullMatch);
-            processedText = processedText.replace(/\[(.*)$/s, placeholder);
-        }
+    const group = context.groupId ? context.groups.find(g => g.id === context.groupId) : null;
+    if (group) {
+        layers.push({ id: 'group', label: `${SETTINGS_LAYER_NAMES.group}: ${group.name}`, key: group.id, values: settings.overrides.groups[group.id] ?? {} });
+    }
 
-        // 6. Extract HTML comments <!-- ... --> before anything else so their
-        // content (which may contain tag-like syntax) is never processed.
-        processedText = processedText.replace(/<!--[\s\S]*?-->/g, (match) => {
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, match);
-            return placeholder;
-        });
+    if (context.getCurrentChatId() && context.chatMetadata) {
+        layers.push({ id: 'chat', label: `${SETTINGS_LAYER_NAMES.chat}: ${context.getCurrentChatId()}`, values: context.chatMetadata[extensionName] ?? {} });
+    }
+
+    return layers;
+}
 
-        // 7. Extract paired HTML elements with their full content.
-        // Each iteration replaces INNERMOST pairs only, then repeats until no
-        // matches remain, so outer wrappers are matched in subsequent passes.
-        //
-        // Key: the content regex (?:(?!<TAG\b)[\s\S])*? uses a negative lookahead
-        // to forbid another opening of the SAME tag inside the content. This
-        // guarantees we only ever match a truly innermost pair each pass, which
-        // prevents the non-greedy engine from pairing an outer opening tag with
-        // an inner closing tag and leaving the outer closing tag as an orphan.
-        //
-        // Processes <style>/<script> first since their content may contain
-        // characters like * and " that would corrupt later formatting stages.
-        const pairedHtmlTags = [
-            'style', 'script',                              // content-heavy, process first
-            'details', 'summary', 'dialog',
-            'div', 'span', 'section', 'article', 'aside',
-            'header', 'footer', 'main', 'nav',
-            'figure', 'figcaption',
-            'p', 'blockquote', 'pre', 'code',
-            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-            'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table',
-            'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
-            'form', 'fieldset', 'legend', 'label',
-            'a', 'abbr', 'address', 'b', 'bdi', 'bdo',
-            'cite', 'data', 'dfn', 'em', 'i', 'kbd',
-            'mark', 'q', 'rp', 'rt', 'ruby', 's',
-            'samp', 'small', 'strong', 'sub', 'sup',
-            'time', 'u', 'var', 'wbr',
-            'button', 'datalist', 'input', 'meter',
-            'optgroup', 'option', 'output', 'progress',
-            'select', 'textarea',
-            'audio', 'canvas', 'iframe', 'img',
-            'object', 'picture', 'portal', 'source',
-            'svg', 'video',
-        ];
-
-        for (const tag of pairedHtmlTags) {
-            // Negative lookahead (?!<tag\b) in the content part ensures we never
-            // consume another opening of the same tag, so only truly innermost
-            // pairs are matched. The do-while loop then propagates outward.
-            const tagRegex = new RegExp(
-                `<${tag}(\\s[^>]*)?>(?:(?!<${tag}\\b)[\\s\\S])*?<\\/${tag}>`, 'gi'
-            );
-            let previous;
-            do {
-                previous = processedText;
-                processedText = processedText.replace(tagRegex, (match) => {
-                    const placeholder = generatePlaceholder();
-                    protectedBlocks.set(placeholder, match);
-                    return placeholder;
-                });
-            } while (processedText !== previous);
+/**
+ * Resolves the effective settings and which layer each value came from.
+ * @param {object} [options] See getSettingsLayers
+ * @returns {{values: object, sources: Object<string, string>}} Effective values and their source layer ids
+ */
+function resolveSettings(options = {}) {
+    const values = {};
+    const sources = {};
+    for (const layer of getSettingsLayers(options)) {
+        for (const [key, value] of Object.entries(layer.values)) {
+            if (key === 'overrides' || value === undefined || value === null) continue;
+            values[key] = value;
+            sources[key] = layer.id;
         }
+    }
+    values.reasoningDelimiters = addNativeReasoningDelimiters(values.reasoningDelimiters);
+    return { values, sources };
+}
 
-        // 7. Extract self-closing / void HTML tags.
-        // These either use explicit XML-style self-closing syntax (<br />) or are
-        // HTML void elements that never have a closing tag (<br>, <img src="...">).
-        // Also catches any tag written with a trailing slash that isn't in the paired list.
-        const selfClosingHtmlRegex = /<(?:area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)(\s[^>]*)?\/?>|<[a-zA-Z][a-zA-Z0-9]*(\s[^>]*)?\s*\/>/gi;
-        processedText = processedText.replace(selfClosingHtmlRegex, (match) => {
-            const placeholder = generatePlaceholder();
-            protectedBlocks.set(placeholder, match);
-            return placeholder;
-        });
+/**
+ * Adds SillyTavern's own reasoning prefix and suffix (Advanced Formatting > Reasoning) to the reasoning
+ * delimiters, so reasoning it didn't parse out of the reply is still recognized.
+ * @param {object[]} [delimiters] Configured reasoning delimiters
+ * @returns {object[]} The delimiters, plus SillyTavern's unless they are already listed
+ */
+function addNativeReasoningDelimiters(delimiters = DEFAULT_REASONING_DELIMITERS) {
+    const { prefix, suffix } = SillyTavern.getContext().powerUserSettings?.reasoning ?? {};
+    const open = prefix?.trim();
+    const close = suffix?.trim();
+    if (!open || !close || delimiters.some(entry => entry.open === open && entry.close === close)) {
+        return delimiters;
+    }
+    return [...delimiters, { open, close, enabled: true }];
+}
 
-        return { text: processedText, protectedBlocks };
-    }
-
-    /**
-     * Restores original protected blocks by replacing placeholders.
-     * @param {string} text The text containing placeholders.
-     * @param {Map<string, string>} protectedBlocks Map of placeholders to original content.
-     * @returns {string} The text with original blocks restored.
-     */
-    restoreProtectedBlocks(text, protectedBlocks) {
-        let result = text;
-        // Replace placeholders with original content in reverse order of their indices 
-        // to ensure inner blocks are restored before outer blocks.
-        const entries = Array.from(protectedBlocks.entries()).reverse();
-        for (const [placeholder, originalContent] of entries) {
-            const escapedPlaceholder = placeholder.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
-            const placeholderRegex = new RegExp(escapedPlaceholder, 'g');
-            result = result.replace(placeholderRegex, originalContent);
-        }
-        return result;
-    }
-
-    /**
-     * Protect height measurements from quote processing
-     * Handles patterns like 5'10", 6'2", etc.
-     * @param {string} text The input text
-     * @returns {{text: string, heightMeasurements: Map<string, string>}} Object with text containing placeholders and a map of placeholders to original measurements
-     */
-    protectHeightMeasurements(text) {
-        const heightMeasurements = new Map();
-        let processedText = text;
-        let index = 0;
-        const generatePlaceholder = () => `__HEIGHT_MEASUREMENT_${index++}__`;
-
-        // Match height measurements: digit(s) + ' + digit(s) + "
-        // Examples: 5'10", 6'2", 10'11"
-        const heightRegex = /\d+'\d{1,2}"/g;
-        
-        processedText = processedText.replace(heightRegex, (match) => {
-            const placeholder = generatePlaceholder();
-            heightMeasurements.set(placeholder, match);
-            return placeholder;
-        });
+/**
+ * Formats text with the effective settings of the current context.
+ * @param {string} text The input text
+ * @param {object} [overrides] Settings that take precedence over the resolved ones
+ * @returns {string} The formatted text
+ */
+function formatText(text, overrides = {}) {
+    return runFormatter(text, { ...resolveSettings().values, ...overrides });
+}
 
-        return { text: processedText, heightMeasurements };
-    }
-
-    /**
-     * Restore height measurements by replacing placeholders
-     * @param {string} text The text containing placeholders
-     * @param {Map<string, string>} heightMeasurements Map of placeholders to original measurements
-     * @returns {string} The text with original height measurements restored
-     */
-    restoreHeightMeasurements(text, heightMeasurements) {
-        let result = text;
-        for (const [placeholder, originalMeasurement] of heightMeasurements.entries()) {
-            const escapedPlaceholder = placeholder.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
-            const placeholderRegex = new RegExp(escapedPlaceholder, 'g');
-            result = result.replace(placeholderRegex, originalMeasurement);
-        }
-        return result;
-    }
-
-    /**
-     * Fix single bold words at the start of lines by converting them to bold-italic
-     * and wrapping the rest of the line in italics if needed
-     * @param {string} text The input text
-     * @returns {string} The text with fixed single word emphasis
-     */
-    fixSingleWordEmphasisAtLineStart(text) {
-        const lines = text.split('\n');
-        const processedLines = lines.map(line => {
-            // Skip lines that already start with single asterisk (already italicized)
-            if (line.trim().startsWith('*') && !line.trim().startsWith('**')) {
-                return line;
-            }
-            
-            // Match **word** (possibly with punctuation) at the start of a line
-            const match = line.match(/^(\s*)\*\*([^*]+?)\*\*(.*)$/);
-            if (!match) {
-                return line;
-            }
-            
-            const [, leadingSpace, boldContent, restOfLine] = match;
-            
-            // If there's content after the bold word, only triple the leading asterisks.
-            if (restOfLine.trim().length > 0) {
-                return `${leadingSpace}***${boldContent}**${restOfLine}`;
-            } else {
-                // If it's just the bold word (possibly with punctuation), make it bold-italic
-                return `${leadingSpace}***${boldContent}***`;
-            }
-        });
-        
-        return processedLines.join('\n');
+/**
+ * Formats text with the given settings, in a single pass or until stable depending on untilStable.
+ * Formatting that oscillates between outputs is reported to the user.
+ * @param {string} text The input text
+ * @param {object} settings Effective settings
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] Only log unstable formatting, for bulk runs that would flood the user with toasts
+ * @returns {string} The formatted text
+ */
+function runFormatter(text, settings, { quiet = false } = {}) {
+    if (!settings.untilStable) {
+        return processor.processText(text, settings);
     }
 
-    processText(text) {
-        try {
-            const context = SillyTavern.getContext();
-            const settings = loadSettings();
+    const result = processor.processUntilStable(text, settings);
+    reportUnstableFormatting(result, text, quiet);
+    return result.text;
+}
 
-            if (context.characters[context.characterId].tags.includes("Assistant")) {
-                // If the character is an Assistant, skip processing
-                return text;
-            }
-            // Applies to all text, even protected blocks
-            let result = this.uncensorText(text);
+/**
+ * Reports formatting that didn't settle within the passes it was allowed.
+ * Formatting that oscillates between outputs is reported to the user.
+ * @param {{passes: number, stable: boolean, oscillating: boolean}} result Result of processUntilStable or formatSelection
+ * @param {string} text The text that was formatted
+ * @param {boolean} [quiet=false] Only log it
+ */
+function reportUnstableFormatting(result, text, quiet = false) {
+    if (result.oscillating) {
+        console.warn(`Format Fixer: output alternates between results, stopped after ${result.passes} passes.`, text);
+        if (!quiet) toastr.warning('Formatting did not settle, the text keeps alternating between results. Please report the message text.', 'Format Fixer');
+    } else if (!result.stable) {
+        console.warn(`Format Fixer: output still changing after ${result.passes} passes.`, text);
+    }
+}
 
-            // Pre-processing: Handle protected blocks
-            const { text: textWithPlaceholders, protectedBlocks } = this.extractProtectedBlocks(result);
-            result = textWithPlaceholders;
+/**
+ * Resolves the settings that apply to a chat message, using its author's character layer in group chats.
+ * @param {object} message Chat message
+ * @returns {object} Effective settings
+ */
+function getMessageSettings(message) {
+    return resolveSettings({ avatar: message?.original_avatar }).values;
+}
 
-            // Stage 0: Normalize all "smart" characters to regular characters
-            result = this.normalizeSmartCharacters(result);
+/**
+ * Older versions never formatted characters tagged "Assistant". Turns formatting off in the
+ * character layer of those characters instead, once, and tells the user.
+ */
+function migrateAssistantTag() {
+    const context = SillyTavern.getContext();
+    const settings = loadSettings();
+    // Characters may not be loaded yet, try again on the next load then
+    if (settings.assistantTagMigrated || !context.characters?.length) return;
 
-            // Stage 0.5: Protect height measurements before quote processing
-            const { text: textWithHeightPlaceholders, heightMeasurements } = this.protectHeightMeasurements(result);
-            result = textWithHeightPlaceholders;
+    const tagged = context.characters.filter(character => character.tags?.includes('Assistant'));
+    for (const character of tagged) {
+        settings.overrides.characters[character.avatar] = { ...settings.overrides.characters[character.avatar], enabled: false };
+    }
+    settings.assistantTagMigrated = true;
+    context.saveSettingsDebounced();
 
-            // Stage 1: Process quotes
-            if (settings.processQuotes) {
-                result = this.processQuotes(result);
-            }
+    if (tagged.length) {
+        const names = tagged.map(character => character.name).join(', ');
+        toastr.info(`Characters tagged "Assistant" are no longer skipped by tag. Formatting was turned off in the Character layer of: ${names}.`, 'Format Fixer', { timeOut: 0, extendedTimeOut: 0 });
+    }
+}
+
+/**
+ * Stores a value in a settings layer. Passing undefined removes an override so the value is inherited again.
+ * @param {{id: string, key?: string}} layer Layer from getSettingsLayers
+ * @param {string} key Setting key
+ * @param {*} value New value
+ */
+function setLayerValue(layer, key, value) {
+    const context = SillyTavern.getContext();
+    const settings = loadSettings();
 
-            // Stage 1.5: Cleanup consecutive double quotes
-            result = this.cleanupConsecutiveQuotes(result);
+    if (layer.id === 'global') {
+        settings[key] = value;
+        context.saveSettingsDebounced();
+        return;
+    }
 
-            // Stage 2: Convert single-word italics to bold
-            result = this.processNestedEmphasis(result);
+    if (layer.id === 'chat') {
+        const values = context.chatMetadata[extensionName] ?? {};
+        if (value === undefined) delete values[key];
+        else values[key] = value;
+        context.chatMetadata[extensionName] = values;
+        context.saveMetadataDebounced();
+        return;
+    }
 
-            // Stage 3: Clean up any quadruple asterisks
-            result = this.cleanupQuadrupleAsterisks(result);
+    const store = settings.overrides[`${layer.id}s`];
+    const values = store[layer.key] ?? {};
+    if (value === undefined) delete values[key];
+    else values[key] = value;
+    if (Object.keys(values).length) {
+        store[layer.key] = values;
+    } else {
+        delete store[layer.key];
+    }
+    context.saveSettingsDebounced();
+}
+
+function clearLayer(layer) {
+    for (const key of Object.keys(layer.values)) {
+        setLayerValue(layer, key, undefined);
+    }
+}
+
+// Settings panel controls, generated from SETTING_DEFINITIONS for the layer being edited
+
+let editedLayerId = 'global';
+
+function getEditedLayer() {
+    const layers = getSettingsLayers();
+    return layers.find(l => l.id === editedLayerId) ?? layers[0];
+}
 
-            // Stage 4: Clean up unpaired double asterisks within text
-            result = this.cleanupUnpairedDoubleAsterisks(result);
+function formatSettingValue(definition, value) {
+    if (definition.type === 'boolean') {
+        return value ? 'On' : 'Off';
+    }
+    if (definition.type === 'select') {
+        return definition.options().find(o => o.value === value)?.label ?? value;
+    }
+    return String(value);
+}
 
-            // Stage 4.1: Clean up lone asterisks in quotes
-            result = this.cleanupLoneAsterisks(result);
+function renderSettingControl(definition, layer, effective) {
+    const { key, label, title = '' } = definition;
+    const id = `format_fixer_setting_${key}`;
+    const source = effective.sources[key] ?? 'global';
+    const sourceHtml = `<small class="format_fixer_source ${source !== 'global' ? 'overridden' : ''}" title="Effective value comes from this layer">${SETTINGS_LAYER_NAMES[source]}</small>`;
+    const classes = `format_fixer_setting ${definition.indent ? 'format_fixer_sub_options' : ''}`;
+
+    // Numbers are a plain input in every layer; left empty in an override layer, the value is inherited
+    if (definition.type === 'number') {
+        const value = layer.values[key];
+        const placeholder = layer.id !== 'global' ? `Inherit (${formatSettingValue(definition, effective.values[key])})` : '';
+        return `
+            <div class="${classes}" title="${title}">
+                <label for="${id}">${label} ${sourceHtml}</label>
+                <input type="number" id="${id}" class="text_pole" data-key="${key}" min="${definition.min}" max="${definition.max}" value="${value ?? ''}" placeholder="${placeholder}" />
+            </div>`;
+    }
 
-            // Stage 4.2: Clean up spaces between asterisks and text
-            result = this.cleanupAsteriskSpacing(result);
+    // Override layers use a select whose first option inherits the value from the layers below
+    if (layer.id !== 'global') {
+        const current = layer.values[key];
+        const choices = definition.type === 'boolean'
+            ? [{ value: 'true', label: 'On' }, { value: 'false', label: 'Off' }]
+            : definition.options();
+        const options = choices.map(o =>
+            `<option value="${o.value}" ${String(current) === String(o.value) ? 'selected' : ''}>${o.label}</option>`
+        ).join('');
+        return `
+            <div class="${classes}" title="${title}">
+                <label for="${id}">${label} ${sourceHtml}</label>
+                <select id="${id}" data-key="${key}">
+                    <option value="" ${current === undefined ? 'selected' : ''}>Inherit (${formatSettingValue(definition, effective.values[key])})</option>
+                    ${options}
+                </select>
+            </div>`;
+    }
 
-            // Stage 4.3: Clean up spaces between quotes and text
-            result = this.cleanupQuoteSpacing(result);
+    const value = layer.values[key];
+    if (definition.type === 'boolean') {
+        return `
+            <div class="${classes}" title="${title}">
+                <input type="checkbox" id="${id}" data-key="${key}" ${value ? 'checked' : ''} />
+                <label for="${id}">${label} ${sourceHtml}</label>
+            </div>`;
+    }
+    const options = definition.options().map(o =>
+        `<option value="${o.value}" ${value === o.value ? 'selected' : ''}>${o.label}</option>`
+    ).join('');
+    return `
+        <div class="${classes}" title="${title}">
+            <label for="${id}">${label} ${sourceHtml}</label>
+            <select id="${id}" data-key="${key}">${options}</select>
+        </div>`;
+}
 
-            // Stage 5: Process narrative sections
-            result = this.processNarrative(result);
+function renderSettingsControls() {
+    const layers = getSettingsLayers();
+    const layer = getEditedLayer();
+    editedLayerId = layer.id;
+    const effective = resolveSettings();
+
+    $("#format_fixer_layer").html(layers.map(l =>
+        `<option value="${l.id}" ${l.id === layer.id ? 'selected' : ''}>${l.label}</option>`
+    ).join(''));
+    $("#format_fixer_clear_layer").toggle(layer.id !== 'global');
+    $("#format_fixer_settings_controls").html(
+        SETTING_DEFINITIONS.map(definition => renderSettingControl(definition, layer, effective)).join('')
+    );
+}
 
-            // Stage 6: Clean up any excessive newlines
-            result = this.cleanupExcessNewlines(result);
+function onSettingControlChange(event) {
+    const key = $(event.target).data('key');
+    const definition = SETTING_DEFINITIONS.find(d => d.key === key);
+    const layer = getEditedLayer();
+
+    let value;
+    if (event.target.type === 'checkbox') {
+        value = event.target.checked;
+    } else if (event.target.value === '') {
+        value = undefined;
+    } else if (definition.type === 'boolean') {
+        value = event.target.value === 'true';
+    } else if (definition.type === 'number') {
+        value = Math.min(definition.max, Math.max(definition.min, Number(event.target.value) || 0));
+    } else {
+        value = event.target.value;
+    }
 
-            // Stage 6.5: Clean up excessive spaces
-            result = this.cleanupExcessSpaces(result);
+    setLayerValue(layer, key, value);
+    renderSettingsControls();
+}
 
-            // Stage 7: Merge nested emphasis
-            result = this.mergeNestedEmphasis(result);
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-            // Stage 7.5: Fix single bold words at line start
-            result = this.fixSingleWordEmphasisAtLineStart(result);
+// Pipeline stage list in the settings panel. The pipeline is global, it isn't part of the layers.
 
-            // Post-processing: Restore height measurements after quote processing
-            result = this.restoreHeightMeasurements(result, heightMeasurements);
+function savePipeline(pipeline) {
+    loadSettings().pipeline = pipeline.map(({ id, enabled }) => ({ id, enabled }));
+    SillyTavern.getContext().saveSettingsDebounced();
+}
 
-            // Post-processing: Restore protected blocks - MUST be the last step
-            result = this.restoreProtectedBlocks(result, protectedBlocks);
+function renderPipelineControls() {
+    const pipeline = resolvePipeline(loadSettings().pipeline);
+    const effective = resolveSettings().values;
+
+    $("#format_fixer_pipeline").html(pipeline.map(({ id, enabled, stage }, index) => {
+        const switchedBySetting = Boolean(stage.setting);
+        const checked = switchedBySetting ? effective[stage.setting] : enabled;
+        const note = switchedBySetting ? ` Switched by the ${SETTING_DEFINITIONS.find(d => d.key === stage.setting).label} option.` : '';
+        return `
+            <div class="format_fixer_stage ${checked ? '' : 'disabled'}" data-id="${id}">
+                <input type="checkbox" data-action="toggle" ${checked ? 'checked' : ''} ${switchedBySetting ? 'disabled' : ''} />
+                <div class="format_fixer_stage_text">
+                    <span>${index + 1}. ${escapeHtml(stage.name)}</span>
+                    <small>${escapeHtml(stage.description + note)}</small>
+                </div>
+                <div class="menu_button fa-solid fa-arrow-up" data-action="up" title="Move up"></div>
+                <div class="menu_button fa-solid fa-arrow-down" data-action="down" title="Move down"></div>
+            </div>`;
+    }).join(''));
 
-            return result;
+    const warnings = validatePipeline(pipeline);
+    $("#format_fixer_pipeline_warnings").html(warnings.map(w => `<div><i class="fa-solid fa-triangle-exclamation"></i> ${escapeHtml(w)}</div>`).join(''));
+}
+
+function onPipelineControlChange(event) {
+    const action = $(event.target).data('action');
+    const id = $(event.target).closest('.format_fixer_stage').data('id');
+    const pipeline = resolvePipeline(loadSettings().pipeline);
+    const index = pipeline.findIndex(entry => entry.id === id);
+
+    if (action === 'toggle') {
+        pipeline[index].enabled = event.target.checked;
+    } else if (action === 'up' || action === 'down') {
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= pipeline.length) return;
+        [pipeline[index], pipeline[target]] = [pipeline[target], pipeline[index]];
+    } else {
+        return;
+    }
+
+    savePipeline(pipeline);
+    renderPipelineControls();
+}
+
+/**
+ * Offers data as a JSON file download.
+ * @param {*} data Data to serialize
+ * @param {string} fileName Suggested file name
+ */
+function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads the file picked in a file input as JSON and clears the input.
+ * @param {HTMLInputElement} input File input
+ * @returns {Promise<*>} Parsed content, or undefined if no file was picked
+ */
+async function readJsonFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    return file ? JSON.parse(await file.text()) : undefined;
+}
+
+// Rule table editors. The uncensor rules, protected regions and reasoning delimiters are global
+// lists, they aren't part of the layers. Each is edited in a table with a row per entry, holding
+// its switch, its fields and a delete button, plus Add, Import, Export and Reset buttons.
+
+/**
+ * Wires up the table editor of a list setting and renders it.
+ * @param {object} editor
+ * @param {string} editor.key Settings key of the list
+ * @param {string} editor.table Selector of the table
+ * @param {string} editor.buttons Id prefix of the buttons: _add, _import, _export, _reset and the _file input
+ * @param {string} editor.item Name of one entry, e.g. "rule"
+ * @param {string} editor.label Name of the list in messages, e.g. "uncensor rules"
+ * @param {string} editor.fileName Name of the exported file
+ * @param {function(object): string} editor.renderCells Cells of an entry, between its switch and delete button
+ * @param {function(*): object[]} editor.parse Checks imported data and normalizes it, throws if it isn't valid
+ * @param {function(): object} editor.create A new entry
+ * @param {object[]} editor.defaults Entries restored by Reset to Defaults
+ * @param {function(object, string, HTMLElement): void} [editor.setField] Stores an edited field, as typed by default
+ * @param {function(object, string, JQuery): boolean|void} [editor.onChange] Marks invalid fields of an edited row;
+ * returns true if the table needs to be rendered again instead
+ */
+function setupTableEditor({ key, table, buttons, item, label, fileName, renderCells, parse, create, defaults, setField, onChange }) {
+    const save = entries => {
+        loadSettings()[key] = entries;
+        SillyTavern.getContext().saveSettingsDebounced();
+    };
+    const render = () => {
+        $(`${table} tbody`).html(loadSettings()[key].map((entry, index) => `
+        <tr data-index="${index}">
+            <td><input type="checkbox" data-field="enabled" ${entry.enabled !== false ? 'checked' : ''} /></td>
+            ${renderCells(entry)}
+            <td><div class="menu_button fa-solid fa-trash-can" data-action="delete" title="Delete ${item}"></div></td>
+        </tr>`).join(''));
+    };
+
+    $(table).on("change", "[data-field]", (event) => {
+        const entries = loadSettings()[key];
+        const row = $(event.target).closest('tr');
+        const entry = entries[Number(row.data('index'))];
+        const field = $(event.target).data('field');
+        if (field === 'enabled') {
+            entry.enabled = event.target.checked;
+        } else if (setField) {
+            setField(entry, field, event.target);
+        } else {
+            entry[field] = event.target.value;
+        }
+        save(entries);
+        if (onChange?.(entry, field, row)) {
+            render();
+        }
+    });
+    $(table).on("click", "[data-action='delete']", (event) => {
+        const entries = loadSettings()[key];
+        entries.splice(Number($(event.target).closest('tr').data('index')), 1);
+        save(entries);
+        render();
+    });
+    $(`#${buttons}_add`).on("click", () => {
+        save([...loadSettings()[key], create()]);
+        render();
+    });
+    $(`#${buttons}_import`).on("click", () => $(`#${buttons}_file`).trigger("click"));
+    $(`#${buttons}_file`).on("change", async (event) => {
+        try {
+            const data = await readJsonFile(event.target);
+            if (data === undefined) return;
+            const entries = parse(data);
+            save(entries);
+            render();
+            toastr.success(`Imported ${entries.length} ${label}.`, 'Format Fixer');
         } catch (error) {
-            console.error('Format Fixer error:', error);
-            return text;
+            console.error(`Format Fixer ${label} import error:`, error);
+            toastr.error(`Could not import ${label}: ${error.message}`, 'Format Fixer');
         }
-    }
+    });
+    $(`#${buttons}_export`).on("click", () => downloadJson(loadSettings()[key], fileName));
+    $(`#${buttons}_reset`).on("click", () => {
+        save(structuredClone(defaults));
+        render();
+    });
+    render();
+}
 
-    /**
-     * Uncensors text by replacing censored versions with original words.
-     * This version handles any number of underscores between the required characters.
-     * @param {string} text The input text potentially containing censored words.
-     * @returns {string} The uncensored text.
-     */
-    uncensorText(text) {
-        // Define regex patterns with variable underscore counts using _+
-        const uncensorRules = [
-            // Handle longer patterns first to avoid partial matches
-            { pattern: /p_+nis|p_+is/gi, word: 'penis' },
-            { pattern: /v_+gina|v_+ina/gi, word: 'vagina' },
-            { pattern: /p_+s+y|p_+y/gi, word: 'pussy' },
-            { pattern: /f_+c*k/gi, word: 'fuck' },
-            { pattern: /c_+n*t/gi, word: 'cunt' },
-            { pattern: /a_+s*hole/gi, word: 'asshole' },
-            { pattern: /c_+c*k/gi, word: 'cock' },
-            { pattern: /d_+c*k/gi, word: 'dick' },
-            { pattern: /s_+x/gi, word: 'sex' },
-            { pattern: /c_+me/gi, word: 'came' },
-            { pattern: /c_+m/gi, word: 'cum' },
-            { pattern: /n_+p+le|n_+le/gi, word: 'nipple' },
-            { pattern: /p_+s+/gi, word: 'piss' },
-            { pattern: /ur_+ne/gi, word: 'urine' },
-            { pattern: /an_+s/gi, word: 'anus' },
-            { pattern: /an_+l/gi, word: 'anal' },
-            { pattern: /r_+c*tum/gi, word: 'rectum' },
-            { pattern: /f_+g/gi, word: 'fag' },
-            { pattern: /t_+t(?:s|ies|y)?/gi, word: (match) => {
-                // Special handler for t_t variations
-                const suffix = match.slice(-1);
-                if (suffix === 's') return 'tits';
-                if (match.endsWith('ies')) return 'titties';
-                if (suffix === 'y') return 'titty';
-                return 'tit';
-            }},
-            { pattern: /n_+k(?:ed|dity)|n_+de/gi, word: (match) => {
-                // Special handler for naked/nude variations
-                if (match.includes('k')) return match.includes('dity') ? 'nudity' : 'naked';
-                return 'nude';
-            }},
-            { pattern: /t_+(?:s)?icle/gi, word: 'testicle' },
-            { pattern: /t_+(?:s)?cle/gi, word: 'testicle' },
-            { pattern: /t_+(?:s)?es/gi, word: 'testes' },
-            { pattern: /p_+(?:r)?n/gi, word: 'porn' },
-            { pattern: /sh_+t/gi, word: 'shit' },
-            { pattern: /sl_+t/gi, word: 'slut' },
-            { pattern: /b_+t?ch/gi, word: 'bitch' },
-            { pattern: /b_+n?er/gi, word: 'boner' },
-            { pattern: /p_+b(?:is|ic|es)/gi, word: (match) => {
-                // Special handler for pubis variations
-                if (match.endsWith('is')) return 'pubis';
-                if (match.endsWith('ic')) return 'pubic';
-                return 'pubes';
-            }},
-            { pattern: /s_+d/gi, word: 'seed' },
-            { pattern: /s_+men/gi, word: 'semen' },
-            { pattern: /er_+tic/gi, word: 'erotic' },
-            { pattern: /j_+rk(?:ing|ed)/gi, word: (match) => {
-                if (match.endsWith('ing')) return 'jerking';
-                return 'jerked';
-            }},
-            { pattern: /h_+rny/gi, word: 'horny' },
-            { pattern: /b_+o*b/gi, word: 'boob' },
-            { pattern: /a_+s*s/gi, word: 'ass' },
-            { pattern: /b_+ll/gi, word: 'ball' },
-            { pattern: /wh_+ore/gi, word: 'whore' },
-            { pattern: /w_+ore/gi, word: 'whore' },
-            { pattern: /h_+le/gi, word: 'hole' }
-        ];
-
-        let result = text;
-
-        // Apply each uncensor rule
-        for (const rule of uncensorRules) {
-            result = result.replace(rule.pattern, (match) => {
-                const originalWord = typeof rule.word === 'function' ? rule.word(match) : rule.word;
-
-                // Preserve original capitalization
-                // Case 1: ALL CAPS (e.g., "F__K" -> "FUCK")
-                if (match === match.toUpperCase()) {
-                    return originalWord.toUpperCase();
-                }
-                // Case 2: Capitalized (e.g., "P___nis" -> "Penis")
-                if (match[0] === match[0].toUpperCase()) {
-                    return originalWord.charAt(0).toUpperCase() + originalWord.slice(1);
-                }
-                // Case 3: all lowercase (e.g., "c___m" -> "cum")
-                return originalWord;
-            });
+function formatVariants(variants = {}) {
+    return Object.entries(variants).map(([suffix, word]) => `${suffix}=${word}`).join(', ');
+}
+
+function parseVariants(text) {
+    const variants = {};
+    for (const pair of text.split(',')) {
+        const [suffix, word] = pair.split('=').map(part => part.trim());
+        if (suffix && word) {
+            variants[suffix] = word;
         }
+    }
+    return variants;
+}
 
-        return result;
-    }
-
-    /**
-     * Stage 0: Normalize smart characters
-     * Converts various smart typography characters to their basic ASCII equivalents
-     */
-    normalizeSmartCharacters(text) {
-        return text
-            // Double quotes (including fullwidth and ornamental variants)
-            .replace(/[\u00AB\u00BB\u201C\u201D\u02BA\u02EE\u201F\u275D\u275E\u301D\u301E\uFF02]/g, '"')
-            
-            // Single quotes and apostrophes (Not including backticks/graves)
-            .replace(/[\u2018\u2019\u02BB\u02C8\u02BC\u02BD\u02B9\u201B\uFF07\u02CA\u275B\u275C\u0313\u0314]/g, "'")
-            
-            // Dashes and hyphens (preserving em dash)
-            .replace(/[\u2010\u2043\u23BC\u23BD\uFE63\uFF0D]/g, '-')
-            .replace(/\u2013/g, '-')  // en dash to hyphen
-            .replace(/\u2015/g, '\u2014')  // horizontal bar to em dash
-            
-            // Ellipsis
-            .replace(/\u2026/g, '...')
-            
-            // Various spaces
-            .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000\uFEFF]/g, ' ')
-            
-            // Bullets and decorative characters
-            .replace(/[\u2022\u2043\u2219\u25D8\u25E6\u2619\u2765\u2767]/g, '*')
-            
-            // Swung dash
-            .replace(/\u2053/g, '~');
-    }
-    
-    /**
-     * Stage 1: Process quotes
-     * Only removes asterisks that directly wrap quotes
-     */
-    processQuotes(text) {
-        let result = text;
-        
-        // Handle quotes with emphasis at start or end or both
-        result = result
-            // Remove emphasis wrapping entire quotes
-            .replace(/\*([""][^""]*[""])\*/g, '$1')
-            // Remove emphasis at start of quotes
-            .replace(/\*([""][^""]*[""]) *(?!\*)/g, '$1')
-            // Remove emphasis at end of quotes
-            .replace(/(?<!\*) *([""][^""]*[""])\*/g, '$1');
-        
-        return result;
+function isValidPattern(pattern) {
+    try {
+        new RegExp(pattern, 'gi');
+        return Boolean(pattern);
+    } catch {
+        return false;
     }
+}
 
-    /**
-     * Stage 1.5: Handles consecutive double quotes by removing the redundant ones
-     * Converts patterns like ""text"" to "text"
-     */
-    cleanupConsecutiveQuotes(text) {
-        let result = text;
-        
-        result = result
-            // Removes double quotes wrapping entire quotes
-            .replace(/"{2,}([^"]+)"{2,}/g, '"$1"')
-            // Removes double quotes at start of quotes
-            .replace(/"{2,}([^"]+)" *(?!\*)/g, '"$1"')
-            // Removes double quotes at end of quotes
-            .replace(/(?<!\*) *([^"]+)"{2,}/g, '$1"');
-
-        return result;
-    }
-
-    /**
-     * Stage 2: Process nested emphasis
-     * Converts single-word italics to bold
-     */
-    processNestedEmphasis(text) {
-        // Convert single-word italics to bold
-        // Only match actual words (letters, numbers, and allowed punctuation)
-        return text.replace(/(?<!\*)\*([\w'-]+[?!./,:\\]?)\*(?!\*)/g, '**$1**');
-    }
-
-    /**
-     * Stage 3: Clean up quadruple asterisks
-     * Replaces any sequence of 4 or more asterisks with 3 asterisks
-     */
-    cleanupQuadrupleAsterisks(text) {
-        return text.replace(/\*{4,}/g, '***');
-    }
-
-    /**
-     * Stage 4: Clean up unpaired double asterisks within text
-     * Uses string traversal to find and remove orphaned ** markers
-     * while preserving properly matched pairs.
-     * Called after cleanupLoneAsterisks to handle cases within dialogue.
-     * Also called as a helper method within processNarrative.
-     */
-    cleanupUnpairedDoubleAsterisks(text) {
-        let result = text;
-        let allMatches = [];
-
-        // First find complete pairs (only matching word content)
-        const completePairs = result.match(/\*\*([\w'-]+[?!./,:\\]?)\*\*/g);
-        if (completePairs) {
-            allMatches = allMatches.concat(completePairs);
-            // Remove complete pairs from working text
-            result = result.replace(/\*\*([\w'-]+[?!./,:\\]?)\*\*/g, '');
-        }
+/**
+ * Checks that imported data is a list of uncensor rules and normalizes it.
+ * @param {*} data Parsed JSON
+ * @returns {object[]} Normalized rules
+ */
+function parseUncensorRules(data) {
+    if (!Array.isArray(data) || data.some(rule => typeof rule?.pattern !== 'string' || typeof rule?.replacement !== 'string')) {
+        throw new Error('Expected a list of rules with a pattern and a replacement.');
+    }
+    return data.map(rule => ({
+        pattern: rule.pattern,
+        replacement: rule.replacement,
+        ...(rule.variants && Object.keys(rule.variants).length ? { variants: { ...rule.variants } } : {}),
+        enabled: rule.enabled !== false,
+    }));
+}
 
-        // Then find unpaired double asterisks in the remaining text
-        const startAsterisks = result.match(/\*\*([\w'"-]+[?!./,:\\]?)/g);
-        const endAsterisks = result.match(/([\w'"-]+[?!./,:\\]?)\*\*/g);
-        
-        if (startAsterisks) allMatches = allMatches.concat(startAsterisks);
-        if (endAsterisks) allMatches = allMatches.concat(endAsterisks);
-
-        if (!allMatches.length) return text;
-        result = text;  // Reset result to original text for final processing
-
-        // Process each match
-        allMatches.forEach(match => {
-            let cleaned = '';
-            let i = 0;
-            
-            while (i < match.length) {
-                if (i + 1 < match.length && match[i] === '*' && match[i + 1] === '*') {
-                    // Look ahead for matching pair
-                    let found = false;
-                    let searchPos = i + 2;
-                    let matchEnd = -1;
-                    
-                    while (searchPos < match.length - 1) {
-                        if (match[searchPos] === '*' && match[searchPos + 1] === '*') {
-                            const between = match.substring(i + 2, searchPos).trim();
-                            if (between.length > 0 && !between.includes('**')) {
-                                found = true;
-                                matchEnd = searchPos + 2;
-                            }
-                            break;
-                        }
-                        searchPos++;
-                    }
-                    
-                    if (found) {
-                        // Keep complete pairs
-                        cleaned += match.substring(i, matchEnd);
-                        i = matchEnd;
-                    } else {
-                        // Skip unpaired double asterisk
-                        i += 2;
-                    }
-                    continue;
-                }
-                
-                cleaned += match[i];
-                i++;
-            }
+const UNCENSOR_RULE_EDITOR = {
+    key: 'uncensorRules',
+    table: '#format_fixer_uncensor_rules',
+    buttons: 'format_fixer_uncensor',
+    item: 'rule',
+    label: 'uncensor rules',
+    fileName: 'format-fixer-uncensor-rules.json',
+    renderCells: rule => `
+            <td><input type="text" class="text_pole ${isValidPattern(rule.pattern) ? '' : 'invalid'}" data-field="pattern" value="${escapeHtml(rule.pattern)}" title="Regular expression, matched case-insensitively" /></td>
+            <td><input type="text" class="text_pole" data-field="replacement" value="${escapeHtml(rule.replacement)}" /></td>
+            <td><input type="text" class="text_pole" data-field="variants" value="${escapeHtml(formatVariants(rule.variants))}" placeholder="ies=titties, s=tits" title="Replacement words picked by how the match ends" /></td>`,
+    parse: parseUncensorRules,
+    create: () => ({ pattern: '', replacement: '', enabled: true }),
+    defaults: DEFAULT_UNCENSOR_RULES,
+    setField: (rule, field, input) => {
+        rule[field] = field === 'variants' ? parseVariants(input.value) : input.value;
+    },
+    onChange: (rule, field, row) => {
+        row.find("[data-field='pattern']").toggleClass('invalid', !isValidPattern(rule.pattern));
+    },
+};
 
-            if (match !== cleaned) {
-                result = result.replace(match, cleaned);
-            }
-        });
-        
-        return result;
-    }
-
-    /**
-     * Stage 4.1: Clean up lone asterisks within quotes
-     * Only removes asterisks that appear to be broken formatting
-     * Handles cases with punctuation like ellipsis, periods, etc.
-     */
-    cleanupLoneAsterisks(text) {
-        // Specifically target asterisks within quotes that:
-        // 1. Have a word character, punctuation, or space on one side only
-        // 2. Don't appear to be part of a bold pattern
-        return text.replace(/"[^"]*"/g, match =>
-            // First handle the asterisk cleanup
-            match.replace(/(?:\b|\s|[.,!?:])\*(?!\*)|(?<!\*)\*(?:\b|\s|[.,!?:])/g, match => 
-                match.replace('*', '')
-            )
-            // Then normalize multiple spaces to single spaces
-            .replace(/\s{2,}/g, ' ')
-        );
-    }
-
-    /**
-     * Stage 4.2: Clean up spaces between asterisks and text
-     * Fixes cases where there are unnecessary spaces between emphasis markers and text
-     * Example: "* text *" becomes "*text*"
-     */
-    cleanupAsteriskSpacing(text) {
-        return text.replace(/(?<![\S])\*\s*([^*]+?)\s*\*(?![\S])/g, (match, content) => {
-            // Preserve any spaces before/after the section while cleaning internal spaces
-            const hasSpaceBefore = match.startsWith(' ');
-            const hasSpaceAfter = match.endsWith(' ');
-            return (hasSpaceBefore ? ' ' : '') + '*' + content.trim() + '*' + (hasSpaceAfter ? ' ' : '');
-        });
+const REGION_OPTION_LABELS = {
+    kind: { tag: "Tag", delimiters: "Delimiters", regex: "Regex" },
+    mode: { protect: "Leave alone", format: "Format separately", narration: "Narration" },
+    unclosed: { rest: "To end of text", line: "To end of line", ignore: "Not protected" },
+};
+
+function renderRegionSelect(field, value) {
+    const options = Object.entries(REGION_OPTION_LABELS[field]).map(([option, label]) =>
+        `<option value="${option}" ${option === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    return `<select data-field="${field}">${options}</select>`;
+}
+
+function isValidRegion(region) {
+    if (region.kind === 'regex') {
+        return isValidPattern(region.open);
     }
+    return Boolean(region.open) && (region.kind === 'tag' || Boolean(region.close));
+}
 
-    /**
-     * Stage 4.3: Clean up spaces between quotation marks and text
-     * Fixes cases where there are unnecessary spaces between quotes and text
-     * Example: '" text "' becomes '"text"'
-     */
-    cleanupQuoteSpacing(text) {
-        return text.replace(/(?<![\S])"\s*([^"]+?)\s*"(?![\S])/g, (match, content) => {
-            // Preserve any spaces before/after the section while cleaning internal spaces
-            const hasSpaceBefore = match.startsWith(' ');
-            const hasSpaceAfter = match.endsWith(' ');
-            return (hasSpaceBefore ? ' ' : '') + '"' + content.trim() + '"' + (hasSpaceAfter ? ' ' : '');
-        });
+/**
+ * Checks that imported data is a list of protected regions and normalizes it.
+ * @param {*} data Parsed JSON
+ * @returns {object[]} Normalized regions
+ */
+function parseProtectedRegions(data) {
+    if (!Array.isArray(data) || data.some(region => typeof region?.open !== 'string' || !PROTECTED_REGION_KINDS.includes(region?.kind))) {
+        throw new Error(`Expected a list of regions with a kind (${PROTECTED_REGION_KINDS.join(', ')}) and an opening.`);
     }
+    return data.map(region => ({
+        kind: region.kind,
+        open: region.open,
+        close: typeof region.close === 'string' ? region.close : '',
+        mode: PROTECTED_REGION_MODES.includes(region.mode) ? region.mode : 'protect',
+        unclosed: PROTECTED_REGION_UNCLOSED.includes(region.unclosed) ? region.unclosed : 'rest',
+        enabled: region.enabled !== false,
+    }));
+}
 
-    /**
-     * Returns the section text with any leading or trailing placeholder strings
-     * stripped away. Used by processNarrative so that a placeholder prefix/suffix
-     * (e.g. a Message # tag at the start of the line) is treated as transparent
-     * when deciding whether the section is already italicized or needs asterisks.
-     * Example: "__PROTECTED_BLOCK_PLACEHOLDER_0__*text*" → "*text*"
-     */
-    getEffectiveText(text) {
-        const ph = `${this.protectedBlockPlaceholderPrefix}\\d+${this.protectedBlockPlaceholderSuffix}`;
-        return text
-            .replace(new RegExp(`^(?:${ph})+`), '')
-            .replace(new RegExp(`(?:${ph})+$`), '');
-    }
-
-    /**
-     * Stage 5: Process narrative sections
-     * Adds italics to narrative text between quotes
-     */
-    processNarrative(text) {
-        const sections = this.splitBetweenQuotes(text);
-        let result = '';
-        
-        for (let i = 0; i < sections.length; i++) {
-            const section = sections[i];
-            
-            // Prevent double spaces when joining sections
-            if (result && section.raw && result.endsWith(' ') && section.raw.startsWith(' ')) {
-                // Remove one of the spaces
-                result = result.slice(0, -1);
-            }
-            
-            if (section.type === 'newline') {
-                // Preserve paragraph breaks
-                result += section.raw;
-            }
-            else if (section.type === 'quote' || section.type === 'code') {
-                // Add quotes as-is with original spacing
-                result += section.raw;
-            }
-            else {
-                // Handle narrative sections
-                // If the section is purely a placeholder, pass it through unchanged
-                // so we don't wrap e.g. a standalone [OOC: ...] block in asterisks.
-                const placeholderOnlyRegex = new RegExp(
-                    `^${this.protectedBlockPlaceholderPrefix}\\d+${this.protectedBlockPlaceholderSuffix}$`
-                );
-                if (placeholderOnlyRegex.test(section.text.trim())) {
-                    result += section.raw;
-                    continue;
-                }
+const PROTECTED_REGION_EDITOR = {
+    key: 'protectedRegions',
+    table: '#format_fixer_protected_regions',
+    buttons: 'format_fixer_regions',
+    item: 'region',
+    label: 'protected regions',
+    fileName: 'format-fixer-protected-regions.json',
+    renderCells: region => {
+        const placeholder = { tag: 'status', delimiters: '[', regex: '^HP: .*$' }[region.kind];
+        const title = {
+            tag: "Tag name, without angle brackets",
+            delimiters: "Opening delimiter",
+            regex: "Regular expression; ^ and $ match at line breaks. Its first capture group, if any, is the content.",
+        }[region.kind];
+        return `
+            <td>${renderRegionSelect('kind', region.kind)}</td>
+            <td><input type="text" class="text_pole ${isValidRegion(region) ? '' : 'invalid'}" data-field="open" value="${escapeHtml(region.open)}" placeholder="${escapeHtml(placeholder)}" title="${escapeHtml(title)}" /></td>
+            <td><input type="text" class="text_pole" data-field="close" value="${escapeHtml(region.close ?? '')}" placeholder="]" title="Closing delimiter" ${region.kind === 'delimiters' ? '' : 'disabled'} /></td>
+            <td>${renderRegionSelect('mode', region.mode)}</td>
+            <td>${region.kind === 'regex' ? '' : renderRegionSelect('unclosed', region.unclosed)}</td>`;
+    },
+    parse: parseProtectedRegions,
+    create: () => ({ kind: 'tag', open: '', close: '', mode: 'protect', unclosed: 'rest', enabled: true }),
+    defaults: DEFAULT_PROTECTED_REGIONS,
+    // The fields that apply depend on the kind
+    onChange: (region, field, row) => {
+        row.find("[data-field='open']").toggleClass('invalid', !isValidRegion(region));
+        return field === 'kind';
+    },
+};
 
-                // Use effectiveText (placeholders stripped from both ends) for all
-                // formatting checks so a leading Message# placeholder or trailing
-                // HTML placeholder doesn't mask existing asterisks.
-                const effectiveText = this.getEffectiveText(section.text);
-
-                if (!this.isItalicized(effectiveText)) {
-                    // Decompose section.text into [leadingPH][innerText][trailingPH] so
-                    // we can insert * AFTER any leading placeholder and BEFORE any trailing placeholder.
-                    const phPattern = `(?:${this.protectedBlockPlaceholderPrefix}\\d+${this.protectedBlockPlaceholderSuffix})`;
-                    const leadingPHMatch  = section.text.match(new RegExp(`^(?:${phPattern})+`));
-                    const trailingPHMatch = section.text.match(new RegExp(`(?:${phPattern})+$`));
-                    const leadingPH  = leadingPHMatch  ? leadingPHMatch[0]  : '';
-                    const trailingPH = trailingPHMatch ? trailingPHMatch[0] : '';
-                    const innerText  = section.text.slice(
-                        leadingPH.length,
-                        section.text.length - trailingPH.length
-                    );
+/**
+ * Checks that imported data is a list of reasoning delimiters and normalizes it.
+ * @param {*} data Parsed JSON
+ * @returns {object[]} Normalized delimiters
+ */
+function parseReasoningDelimiters(data) {
+    if (!Array.isArray(data) || data.some(entry => typeof entry?.open !== 'string' || typeof entry?.close !== 'string')) {
+        throw new Error('Expected a list of delimiters with an opening and a closing.');
+    }
+    return data.map(entry => ({ open: entry.open, close: entry.close, enabled: entry.enabled !== false }));
+}
 
-                    const needsLeadingStar  = !effectiveText.startsWith('*');
-                    const needsTrailingStar = !effectiveText.endsWith('*');
+const REASONING_DELIMITER_EDITOR = {
+    key: 'reasoningDelimiters',
+    table: '#format_fixer_reasoning_delimiters',
+    buttons: 'format_fixer_reasoning',
+    item: 'delimiters',
+    label: 'reasoning delimiters',
+    fileName: 'format-fixer-reasoning-delimiters.json',
+    renderCells: entry => `
+            <td><input type="text" class="text_pole ${entry.open ? '' : 'invalid'}" data-field="open" value="${escapeHtml(entry.open)}" placeholder="<think>" /></td>
+            <td><input type="text" class="text_pole ${entry.close ? '' : 'invalid'}" data-field="close" value="${escapeHtml(entry.close)}" placeholder="</think>" /></td>`,
+    parse: parseReasoningDelimiters,
+    create: () => ({ open: '', close: '', enabled: true }),
+    defaults: DEFAULT_REASONING_DELIMITERS,
+    onChange: (entry, field, row) => {
+        row.find("[data-field='open']").toggleClass('invalid', !entry.open);
+        row.find("[data-field='close']").toggleClass('invalid', !entry.close);
+    },
+};
 
-                    if (needsLeadingStar && result && !result.endsWith(' ') && !result.endsWith('\n')) {
-                        result += ' ';
-                    }
+// Automatic formatting of chat messages
+
+// Set while SillyTavern is generating, so swipe events fired before a new swipe
+// is generated don't try to format the placeholder text.
+let generationInProgress = false;
+
+/**
+ * Formats the separately kept reasoning of one swipe as its own document, if the settings ask for it.
+ * @param {object} message Chat message
+ * @param {number} swipeIndex Swipe id
+ * @param {object} settings Effective settings
+ * @param {object} [options] Passed on to runFormatter
+ * @returns {{before: string, after: string}|null} The reasoning before and after formatting, null if it isn't formatted
+ */
+function formatSwipeReasoning(message, swipeIndex, settings, options) {
+    const reasoning = getSwipeReasoning(message, swipeIndex);
+    if (!reasoning || !settings.enabled || settings.reasoningMode !== 'format') {
+        return null;
+    }
+    return { before: reasoning, after: runFormatter(reasoning, settings, options) };
+}
 
-                    result += leadingPH;
-                    if (needsLeadingStar)  result += '*';
-                    result += innerText;
-                    if (needsTrailingStar) result += '*';
-                    result += trailingPH;
+/**
+ * Formats a chat message in place, including all of its swipes, then re-renders and saves it.
+ * Swipes that were already formatted are skipped unless forced, so manual edits survive swiping.
+ * @param {number} messageId Index of the message in the chat
+ * @param {object} [options]
+ * @param {boolean} [options.forceCurrent=false] Format the visible swipe even if it was formatted before
+ * @param {boolean} [options.force=false] Format every swipe even if it was formatted before
+ * @param {boolean} [options.onlyCurrent=false] Leave the other swipes alone
+ * @returns {Promise<boolean>} Whether the message was changed
+ */
+async function formatChatMessage(messageId, { forceCurrent = false, force = false, onlyCurrent = false } = {}) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message || message.is_system) {
+        return false;
+    }
 
-                    if (needsTrailingStar && i < sections.length - 1 && !effectiveText.endsWith(' ') && sections[i + 1].type !== 'newline') {
-                        result += ' ';
-                    }
-                } else {
-                    // Already properly emphasized - preserve original spacing
-                    result += section.raw;
-                }
-            }
-        }
-        
-        return result.trim();
-    }
-    
-    /**
-     * Stage 6: Clean up excessive newlines
-     * Replaces any sequence of 3+ newlines with exactly 2
-     */
-    cleanupExcessNewlines(text) {
-        return text.replace(/\n{3,}/g, '\n\n');
-    }
-
-    /**
-     * Stage 6.5: Clean up excessive spaces
-     * Replaces any sequence of 2+ spaces with 1
-     * Also removes unnecessary spaces between words and punctuation marks
-     */
-    cleanupExcessSpaces(text) {
-        return text.replace(/ {2,}/g, ' ')
-                   .replace(/ \.\.\. /g, '...')
-                   .replace(/ ([.,!?;:—])/g, '$1');
-    }
-
-    /**
-     * Stage 7: Merge nested emphasis
-     * Processes text in sections bounded by quotes and newlines,
-     * cleaning up sections that have erroneous asterisks.
-     * Key features:
-     * - Stops at quote and newline boundaries
-     * - Preserves bold (**) formatting
-     * - Merges sections with more than 2 single asterisks
-     * - Maintains proper spacing
-     */
-    mergeNestedEmphasis(text) {
-        let result = '';
-        let sectionStart = -1;  // Start of current section being analyzed
-        let asteriskCount = 0;  // Count of single asterisks in current section
-        let buffer = '';
-        
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            
-            // Check for section boundaries
-            if (char === '"' || char === '\n') {
-                // Hit a natural boundary, add everything up to here and reset
-                if (sectionStart !== -1) {
-                    result += buffer;
-                    sectionStart = -1;
-                }
-                result += char;
-                asteriskCount = 0;
-                buffer = '';
-                continue;
-            }
-            
-            // Handle bold markers
-            if (char === '*' && text[i + 1] === '*') {
-                if (sectionStart === -1) {
-                    result += '**';  // Not in a section, just add bold marker
-                } else {
-                    buffer += '**';  // In a section, add to buffer
-                }
-                i++;  // Skip next asterisk
-                continue;
-            }
-            
-            // Handle single asterisks
-            if (char === '*') {
-                if (sectionStart === -1) {
-                    // Start new section
-                    sectionStart = i;
-                    asteriskCount = 1;
-                    buffer = '*';
-                } else {
-                    // In a section
-                    asteriskCount++;
-                    if (asteriskCount === 3) {
-                        // Found an erroneous asterisk, clean up the section
-                        // First preserve bold sections by temporarily marking them
-                        let cleaned = buffer.replace(/\*\*([^*]+)\*\*/g, '@@$1@@');
-                        // Then clean up single asterisks
-                        cleaned = '*' + cleaned.slice(1).replace(/\*/g, '');
-                        // Finally restore bold sections
-                        buffer = cleaned.replace(/@@([^@]+)@@/g, '**$1**');
-                    } else {
-                        buffer += char;
-                    }
-                }
-            } else {
-                if (sectionStart === -1) {
-                    result += char;
-                } else {
-                    buffer += char;
-                }
-            }
+    const settings = getMessageSettings(message);
+    let dirty = false;
+    let textChanged = false;
+
+    for (const swipeIndex of getSwipesToFormat(message, { forceCurrent, force, onlyCurrent })) {
+        const text = getSwipeTexts(message)[swipeIndex];
+        const formatted = runFormatter(text, settings);
+        textChanged = applyFormattedText(message, swipeIndex, text, formatted, settings.historyLimit) || textChanged;
+        textChanged = applyFormattedReasoning(message, swipeIndex, formatSwipeReasoning(message, swipeIndex, settings)) || textChanged;
+        dirty = true;
+    }
+
+    if (textChanged) {
+        context.updateMessageBlock(messageId, message);
+    }
+    if (dirty) {
+        await context.saveChat();
+    }
+    return textChanged;
+}
+
+/**
+ * Steps a message swipe back through its format history, then re-renders and saves it.
+ * @param {number} messageId Index of the message in the chat
+ * @param {object} [options]
+ * @param {number} [options.swipeIndex] Swipe to revert, the visible one by default
+ * @param {number} [options.steps=1] How many format passes to undo
+ * @param {boolean} [options.toOriginal=false] Restore the text from before the first format pass
+ * @returns {Promise<string|null>} The restored text, or null if there was nothing to revert
+ */
+async function revertFormat(messageId, { swipeIndex, steps = 1, toOriginal = false } = {}) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    if (!message) {
+        return null;
+    }
+
+    swipeIndex ??= hasSwipes(message) ? message.swipe_id : 0;
+    const data = getFormatData(message, swipeIndex);
+    const history = [...(data.history ?? [])];
+    if (!history.length && data.original === undefined && data.originalReasoning === undefined) {
+        return null;
+    }
+
+    let restored;
+    if (toOriginal || steps > history.length) {
+        // Stepping past the kept history ends at the original text. Formatting that only changed
+        // the reasoning left the text as it was.
+        restored = data.original ?? getSwipeTexts(message)[swipeIndex];
+        history.length = 0;
+    } else {
+        restored = history[history.length - steps].text;
+        history.length -= steps;
+    }
+
+    // Once back at the original only the marker stays, so auto-formatting doesn't redo what was just undone
+    const atOriginal = !history.length && restored === (data.original ?? restored);
+    const updated = atOriginal
+        ? { formatted: data.formatted }
+        : { ...data, history };
+    if (atOriginal && data.originalReasoning !== undefined) {
+        setSwipeReasoning(message, swipeIndex, data.originalReasoning);
+    }
+    setSwipeText(message, swipeIndex, restored);
+    setFormatData(message, swipeIndex, updated);
+    context.updateMessageBlock(messageId, message);
+    await context.saveChat();
+    return restored;
+}
+
+async function onRevertButtonClick() {
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    try {
+        const restored = await revertFormat(messageId);
+        if (restored === null) {
+            toastr.info('This message has no formatting to revert.', 'Format Fixer');
         }
-        
-        // Add any remaining buffer
-        if (sectionStart !== -1) {
-            if (asteriskCount >= 3) {
-                buffer = '*' + buffer.slice(1) + '*';
-            }
-            result += buffer;
+    } catch (error) {
+        console.error('Format Fixer revert error:', error);
+        toastr.error(`Could not revert formatting: ${error.message}`, 'Format Fixer');
+    }
+}
+
+async function onFormatButtonClick() {
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    try {
+        const message = SillyTavern.getContext().chat[messageId];
+        if (message && !getMessageSettings(message).enabled) {
+            toastr.info('Formatting is turned off in the settings that apply to this message.', 'Format Fixer');
+            return;
         }
-        
-        return result;
-    }
-    
-    // Helper Functions
-
-    /**
-     * Check if text is a quoted section
-     */
-    isQuote(text) {
-        return /^[""][^""]*[""]$/.test(text);
-    }
-
-    /**
-     * Check if text is already italicized
-     */
-    isItalicized(text) {
-        return /^\*[^*]+\*$/.test(text);
-    }
-
-    /**
-     * Helper method to check if a position in text is within a proper emphasis section
-     * Looks ahead and behind for matching asterisks, considering quote boundaries
-     */
-    isWithinEmphasis(text, position) {
-        // First find paragraph bounds
-        let paragraphStart = position;
-        while (paragraphStart > 0 && text[paragraphStart - 1] !== '\n') {
-            paragraphStart--;
+        const changed = await formatChatMessage(messageId, { force: true });
+        if (!changed) {
+            toastr.info('This message is already formatted.', 'Format Fixer');
         }
-        
-        let paragraphEnd = text.indexOf('\n', position);
-        if (paragraphEnd === -1) paragraphEnd = text.length;
-
-        // Look for relevant opening asterisk, skipping complete pairs
-        let openPos = -1;
-        let i = paragraphStart;
-        while (i < position) {
-            if (text[i] === '*') {
-                if (text[i + 1] === '*') {
-                    i += 2;  // Skip bold markers
-                    continue;
-                }
-                
-                // Skip if asterisk has whitespace after it
-                if (text[i + 1] === ' ' || text[i + 1] === '\t') {
-                    i++;
-                    continue;
-                }
+    } catch (error) {
+        console.error('Format Fixer message format error:', error);
+        toastr.error(`Could not format the message: ${error.message}`, 'Format Fixer');
+    }
+}
 
-                // Look for matching closer before our position
-                let hasMatch = false;
-                for (let j = i + 1; j < position; j++) {
-                    if (text[j] === '*' && text[j-1] !== '*' && text[j+1] !== '*') {
-                        hasMatch = true;
-                        i = j + 1;  // Skip to after this complete pair
-                        break;
-                    }
-                }
-                
-                if (!hasMatch) {
-                    // Found an unpaired opening asterisk
-                    openPos = i;
-                    break;
-                }
-            }
-            i++;
+/**
+ * Formats the text in the message editor. Like typing in it, this only changes the draft; the
+ * message is saved when the edit is confirmed.
+ */
+function onEditorFormatButtonClick() {
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    const textarea = $(this).closest('.mes').find('#curEditTextarea')[0];
+    if (textarea) {
+        formatInputBox(textarea, getMessageSettings(SillyTavern.getContext().chat[messageId]));
+    }
+}
+
+/**
+ * Checks whether AI messages from a generation of the given type are auto-formatted.
+ * @param {object} settings Effective settings
+ * @param {string} type Generation type, e.g. normal, swipe or continue
+ * @returns {boolean} Whether the message is formatted
+ */
+function isAutoFormatEnabled(settings, type) {
+    if (!settings.autoFormat || type === 'impersonate' || type === 'quiet') return false;
+    return type === 'continue' ? settings.autoFormatContinues
+        : type === 'swipe' ? settings.autoFormatSwipes
+            : settings.autoFormatReceived;
+}
+
+async function onMessageReceived(messageId, type) {
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!message || message.is_user) return;
+
+    const settings = getMessageSettings(message);
+    // In display-only mode the rendered message is formatted instead, see renderDisplayedMessage
+    if (settings.displayOnly || !isAutoFormatEnabled(settings, type)) return;
+
+    try {
+        // The visible swipe holds freshly generated text, so it is always reformatted
+        await formatChatMessage(messageId, { forceCurrent: true });
+    } catch (error) {
+        console.error('Format Fixer auto-format error:', error);
+    }
+}
+
+// Runs before the sent message is rendered and the prompt is built, so both use the formatted text.
+// SillyTavern saves the chat after sending.
+function onMessageSent(messageId) {
+    try {
+        const message = SillyTavern.getContext().chat[messageId];
+        if (!message?.is_user || typeof message.mes !== 'string' || !message.mes) return;
+
+        const settings = getMessageSettings(message);
+        if (!settings.formatOnSend) return;
+
+        const swipeIndex = hasSwipes(message) ? message.swipe_id : 0;
+        applyFormattedText(message, swipeIndex, message.mes, runFormatter(message.mes, settings), settings.historyLimit);
+    } catch (error) {
+        // Never get in the way of sending
+        console.error('Format Fixer send format error:', error);
+    }
+}
+
+async function onMessageSwiped(messageId) {
+    if (generationInProgress) return;
+
+    const message = SillyTavern.getContext().chat[messageId];
+    // Swiping past the last swipe starts a generation; MESSAGE_RECEIVED handles the result
+    if (!message || message.is_user || (hasSwipes(message) && message.swipe_id >= message.swipes.length)) return;
+
+    const settings = getMessageSettings(message);
+    if (!settings.autoFormat || !settings.autoFormatSwipes || settings.displayOnly) return;
+
+    try {
+        await formatChatMessage(messageId);
+    } catch (error) {
+        console.error('Format Fixer auto-format error:', error);
+    }
+}
+
+async function onMessageEdited(messageId) {
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!message || message.is_user) return;
+
+    const settings = getMessageSettings(message);
+    if (!settings.autoFormat || !settings.autoFormatEdits || settings.displayOnly) return;
+
+    try {
+        await formatChatMessage(messageId, { forceCurrent: true, onlyCurrent: true });
+    } catch (error) {
+        console.error('Format Fixer auto-format error:', error);
+    }
+}
+
+// Live formatting of a streaming reply. SillyTavern re-renders the message text from the raw
+// reply on every update; the observer replaces it with the formatted version before the browser
+// paints, so the raw text never shows. The message itself is only changed by the regular
+// auto-format pass once the reply is complete.
+
+let streamingObserver = null;
+let streamingFrame = null;
+// The settled part of the reply changes far less often than the reply, keep its last result
+let streamingSettled = { text: null, formatted: '' };
+
+function onStreamingMutation() {
+    // One update per frame at most. Animation frame callbacks still run before the frame is painted.
+    streamingFrame ??= requestAnimationFrame(renderStreamingReply);
+}
+
+/**
+ * Formats the settled part of the streaming reply, reusing the last result while it is unchanged.
+ * @param {string} settled Settled text
+ * @param {object} settings Effective settings
+ * @returns {string} The formatted text
+ */
+function formatStreamingSettled(settled, settings) {
+    if (streamingSettled.text !== settled) {
+        streamingSettled = { text: settled, formatted: runFormatter(settled, settings, { quiet: true }) };
+    }
+    return streamingSettled.formatted;
+}
+
+function renderStreamingReply() {
+    streamingFrame = null;
+    const context = SillyTavern.getContext();
+    const messageId = context.chat.length - 1;
+    const message = context.chat[messageId];
+    if (!message || message.is_user || message.is_system || typeof message.mes !== 'string') return;
+
+    const element = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!element) return;
+
+    try {
+        const settings = getMessageSettings(message);
+        const text = processor.processStreamingText(message.mes, settings, settled => formatStreamingSettled(settled, settings));
+        const html = context.messageFormatting(text, message.name, message.is_system, message.is_user, messageId);
+        if (element.innerHTML !== html) {
+            element.innerHTML = html;
         }
-        
-        if (openPos === -1) return false;  // No relevant opening asterisk found
-        
-        // Look for the first single asterisk after our position
-        let closePos = -1;
-        for (i = position + 1; i < paragraphEnd; i++) {
-            // First check if it's a single asterisk (not part of bold)
-            if (text[i] === '*' && text[i-1] !== '*' && text[i+1] !== '*') {
-                // If this asterisk has whitespace before it, it can't be a closer
-                // Return false immediately because any later asterisk would be after
-                // an invalid closing marker
-                if (text[i-1] === ' ' || text[i-1] === '\t') {
-                    return false;
-                }
-                closePos = i;
-                break;
-            }
+    } catch (error) {
+        console.error('Format Fixer streaming error:', error);
+    }
+    // Drop the records of our own change so it doesn't trigger another round
+    streamingObserver?.takeRecords();
+}
+
+function startStreamingFormat(type) {
+    stopStreamingFormat();
+    const settings = resolveSettings().values;
+    if (!settings.autoFormatStreaming || !isAutoFormatEnabled(settings, type)) return;
+
+    const chatElement = document.getElementById('chat');
+    if (!chatElement) return;
+    streamingObserver = new MutationObserver(onStreamingMutation);
+    streamingObserver.observe(chatElement, { childList: true, subtree: true, characterData: true });
+}
+
+function stopStreamingFormat() {
+    streamingObserver?.disconnect();
+    streamingObserver = null;
+    if (streamingFrame !== null) {
+        cancelAnimationFrame(streamingFrame);
+        streamingFrame = null;
+    }
+    streamingSettled = { text: null, formatted: '' };
+}
+
+// Formatted texts for the display-only and prompt-only modes, see createFormatCache.
+
+const FORMAT_CACHE_SIZE = 1000;
+const formatCachedText = createFormatCache((text, settings) => runFormatter(text, settings, { quiet: true }), FORMAT_CACHE_SIZE);
+
+// Display-only formatting. The formatted text replaces the rendered message, not the stored one.
+// It goes through SillyTavern's own message rendering (markdown, sanitizing) just like the raw text
+// does, after protected HTML has been put back, so that HTML is rendered once and never escaped twice.
+
+// Messages shown as written by their raw toggle
+const rawMessages = new WeakSet();
+
+/**
+ * Re-renders a message in the chat view, formatted in display-only mode or as stored otherwise.
+ * Messages that were never formatted for display are left as SillyTavern rendered them.
+ * @param {number} messageId Index of the message in the chat
+ */
+function renderDisplayedMessage(messageId) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageId];
+    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    const element = messageElement?.querySelector('.mes_text');
+    if (!message || !element || message.is_user || message.is_system || typeof message.mes !== 'string') return;
+
+    try {
+        const wasDisplayed = messageElement.classList.contains('format_fixer_displayed');
+        if (!wasDisplayed && !isDisplayOnlyUsed(getSettings(), context.chatMetadata?.[extensionName])) return;
+        const settings = getMessageSettings(message);
+        const { displayed, formatted, text } = getDisplayedText(message, settings, rawMessages.has(message), formatCachedText);
+        if (!displayed && !wasDisplayed) return;
+
+        const html = context.messageFormatting(text, message.name, message.is_system, message.is_user, messageId);
+        if (element.innerHTML !== html) {
+            element.innerHTML = html;
         }
-        
-        return closePos !== -1;  // True only if we found a valid closing asterisk
+        messageElement.classList.toggle('format_fixer_displayed', displayed);
+        messageElement.classList.toggle('format_fixer_raw', displayed && !formatted);
+        messageElement.querySelector('.mes_format_fixer_raw')?.setAttribute('title', formatted ? "Show raw text" : "Show formatted text");
+    } catch (error) {
+        console.error('Format Fixer display error:', error);
     }
+}
 
-    /**
-     * Split text between standalone quotes while preserving quotes and original spacing
-     */
-    splitBetweenQuotes(text) {
-        // Split on quotes and newlines
-        let sections = [];
-        let buffer = '';
-        
-        const pushBuffer = () => {
-            if (buffer) {
-                sections.push({
-                    raw: buffer,
-                    text: buffer.trim(),
-                    type: 'narrative'
-                });
-                buffer = '';
-            }
-        };
-        
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-
-            // Check for protected block placeholders first
-            const placeholderRegex = new RegExp(`${this.protectedBlockPlaceholderPrefix}\\d+${this.protectedBlockPlaceholderSuffix}`);
-            const remainingText = text.substring(i);
-            const placeholderMatch = remainingText.match(placeholderRegex);
-
-            if (placeholderMatch && placeholderMatch.index === 0) {
-                // Found a placeholder. Add it directly to the buffer so it stays
-                // part of whichever narrative section surrounds it. This prevents
-                // mid-phrase splits that would break the surrounding italic context
-                // (e.g. *text <span>...</span> more text* would get extra asterisks
-                // if the placeholder were isolated as a separate code section).
-                // Standalone placeholders are handled in processNarrative below.
-                const placeholder = placeholderMatch[0];
-                buffer += placeholder;
-                i += placeholder.length - 1; // Move index past the placeholder
-                continue;
-            }
+function renderDisplayedChat() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(element => renderDisplayedMessage(Number(element.getAttribute('mesid'))));
+}
 
-            // Check for code blocks
-            if (char === '`') {
-                // Found potential code block
-                let codeBuffer = char;
-
-                // Check if it's a triple backtick
-                let isTriple = false;
-                if (i + 2 < text.length && text[i + 1] === '`' && text[i + 2] === '`') {
-                    codeBuffer += '``';
-                    isTriple = true;
-                    i += 2;
-                }
+function onRawToggleClick() {
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    const message = SillyTavern.getContext().chat[messageId];
+    if (!message) return;
 
-                // Capture everything until closing backticks
-                i++;
-                while (i < text.length) {
-                    codeBuffer += text[i];
-                    if (text[i] === '`') {
-                        if (!isTriple) break;
-                        if (i + 2 < text.length && text[i + 1] === '`' && text[i + 2] === '`') {
-                            codeBuffer += '``';
-                            i += 2;
-                            break;
-                        }
-                    }
-                    i++;
-                }
+    if (rawMessages.has(message)) {
+        rawMessages.delete(message);
+    } else {
+        rawMessages.add(message);
+    }
+    renderDisplayedMessage(messageId);
+}
 
-                pushBuffer();  // Push any content before the code block
-                sections.push({
-                    raw: codeBuffer,
-                    text: codeBuffer,
-                    type: 'code'
-                });
-            }
-            // Check for CYOA-style lines at line start
-            else if ((buffer === '' || buffer.endsWith('\n')) &&
-                    /^[a-zA-Z0-9]/.test(char) &&
-                    i + 1 < text.length &&
-                    /[.>)]/.test(text[i + 1])) {
-                // Found a CYOA-style line
-                pushBuffer();  // Push any content before
-
-                let cyoaBuffer = char + text[i + 1];  // Add the number/letter and delimiter
-                i++;  // Move past delimiter
-
-                // Capture the rest of the line
-                i++;
-                while (i < text.length && text[i] !== '\n') {
-                    cyoaBuffer += text[i];
-                    i++;
-                }
-                if (i < text.length) {
-                    cyoaBuffer += text[i];  // Include the newline
-                }
+function registerAutoFormatEvents() {
+    const { eventSource, event_types } = SillyTavern.getContext();
+
+    eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+        if (dryRun) return;
+        generationInProgress = true;
+        startStreamingFormat(type);
+    });
+    eventSource.on(event_types.GENERATION_ENDED, () => {
+        generationInProgress = false;
+        stopStreamingFormat();
+    });
+    eventSource.on(event_types.GENERATION_STOPPED, () => {
+        generationInProgress = false;
+        stopStreamingFormat();
+    });
+    eventSource.on(event_types.CHAT_CHANGED, stopStreamingFormat);
+
+    eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
+    eventSource.on(event_types.MESSAGE_EDITED, onMessageEdited);
+
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderDisplayedMessage);
+    eventSource.on(event_types.MESSAGE_UPDATED, renderDisplayedMessage);
+    eventSource.on(event_types.MESSAGE_SWIPED, renderDisplayedMessage);
+    eventSource.on(event_types.CHAT_CHANGED, renderDisplayedChat);
+    eventSource.on(event_types.MORE_MESSAGES_LOADED, renderDisplayedChat);
+}
 
-                sections.push({
-                    raw: cyoaBuffer,
-                    text: cyoaBuffer,
-                    type: 'code'  // Use code type to exempt from processing
-                });
-            }
+// Prompt-only formatting. SillyTavern passes the chat history of every generation through the
+// interceptor named in manifest.json before building the prompt. Messages are swapped for
+// formatted copies, so the stored chat is never changed. Results are cached, since the same
+// history is sent again on every generation.
+
+/**
+ * Generation interceptor: formats the latest messages of the outgoing chat history.
+ * @param {object[]} chat Messages the prompt is built from, changes only affect this generation
+ * @param {number} _contextSize Context size of the generation
+ * @param {function(boolean): void} _abort Stops the generation
+ * @param {string} type Generation type
+ */
+async function formatPromptHistory(chat, _contextSize, _abort, type) {
+    try {
+        if (type === 'quiet') return;
 
-            else if (char === '*') {
-                buffer += char;
-            }
+        // Settings differ per character in group chats
+        formatPromptMessages(chat, createMessageSettingsResolver(getMessageSettings), formatCachedText);
+    } catch (error) {
+        // The prompt is sent as stored rather than failing the generation
+        console.error('Format Fixer prompt format error:', error);
+    }
+}
 
-            else if (char === '"' && !this.isWithinEmphasis(text, i)) {
-                pushBuffer();
+globalThis.formatFixerInterceptor = formatPromptHistory;
 
-                // Check for a single space before the quote
-                let leadingSpace = (i > 0 && text[i - 1] === ' ') ? ' ' : '';
+// Bulk formatting of a whole chat or a message range.
+// Runs in two steps: a plan that formats every message in memory and reports the changes,
+// then, once confirmed, writing the planned texts. Both steps yield to the browser between
+// chunks so long chats don't freeze the page.
 
-                // Add quote with optional leading space
-                let quoteBuffer = leadingSpace + char;
+const BULK_FORMAT_CHUNK_SIZE = 50;
+const BULK_FORMAT_ROLES = ['ai', 'user', 'both'];
 
-                // Capture the quote content
-                i++;
-                while (i < text.length && text[i] !== '"') {
-                    quoteBuffer += text[i];
-                    i++;
-                }
-                if (i < text.length) quoteBuffer += text[i];
+let bulkFormatRunning = false;
 
-                // Check for a single trailing space
-                if (i + 1 < text.length && text[i + 1] === ' ') {
-                    quoteBuffer += ' ';
-                    i++; // Move past the space
-                }
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
 
-                sections.push({
-                    raw: quoteBuffer,
-                    text: quoteBuffer.trim(),
-                    type: 'quote'
-                });
-            }
-            else if (char === '\n') {
-                // End current section at newline
-                buffer += char;
-                pushBuffer();
-
-                // Count consecutive newlines
-                let newlineCount = 1;
-                while (i + 1 < text.length && text[i + 1] === '\n') {
-                    newlineCount++;
-                    i++;
-                }
+function matchesRole(message, role) {
+    if (role === 'both') return true;
+    return role === 'user' ? !!message.is_user : !message.is_user;
+}
 
-                // Always create a newline section
-                sections.push({
-                    raw: newlineCount > 1 ? '\n\n' : '\n',  // Preserve single newlines, normalize multiples to double
-                    text: '',
-                    type: 'newline'
-                });
-            }
-            else {
-                buffer += char;
-            }
+/**
+ * Formats the visible text of every matching message in memory, without changing the chat.
+ * Reasoning kept apart from the text is included when the Reasoning setting formats it.
+ * @param {object} options
+ * @param {number} options.start First message index
+ * @param {number} options.end Last message index, inclusive
+ * @param {string} options.role Messages to include: ai, user or both
+ * @returns {Promise<{chatId: string, checked: number, changes: object[]}|null>} The planned changes, null if the chat was switched
+ */
+async function planChatFormat({ start, end, role }) {
+    const context = SillyTavern.getContext();
+    const chatId = context.getCurrentChatId();
+    const changes = [];
+    const getSettingsOf = createMessageSettingsResolver(getMessageSettings);
+    let checked = 0;
+
+    for (let messageId = start; messageId <= end; messageId++) {
+        if ((messageId - start) % BULK_FORMAT_CHUNK_SIZE === BULK_FORMAT_CHUNK_SIZE - 1) {
+            await yieldToBrowser();
+            if (context.getCurrentChatId() !== chatId) return null;
         }
 
-        pushBuffer();
-        return sections.filter(s => s.text || s.type === 'newline');
+        const message = context.chat[messageId];
+        if (!message || message.is_system || !matchesRole(message, role)) continue;
+        if (typeof message.mes !== 'string' || !message.mes) continue;
+        checked++;
+
+        const { settings } = getSettingsOf(message);
+        const formatted = runFormatter(message.mes, settings, { quiet: true });
+        const swipeIndex = hasSwipes(message) ? message.swipe_id : 0;
+        const reasoning = formatSwipeReasoning(message, swipeIndex, settings, { quiet: true });
+        const reasoningChanged = reasoning !== null && reasoning.after !== reasoning.before;
+        if (formatted !== message.mes || reasoningChanged) {
+            const size = getChangeSize(message.mes, formatted);
+            const reasoningSize = reasoningChanged ? getChangeSize(reasoning.before, reasoning.after) : { removed: 0, added: 0 };
+            changes.push({
+                messageId,
+                name: message.name,
+                before: message.mes,
+                after: formatted,
+                reasoning: reasoningChanged ? reasoning : null,
+                removed: size.removed + reasoningSize.removed,
+                added: size.added + reasoningSize.added,
+            });
+        }
     }
-}
 
-// Initialize processor
-const processor = new TextProcessor();
+    return { chatId, checked, changes };
+}
 
-// Settings management
-function loadSettings() {
+/**
+ * Writes planned changes to the chat. Messages edited since the plan was made are skipped.
+ * @param {{chatId: string, changes: object[]}} plan Result of planChatFormat
+ * @returns {Promise<number>} Number of messages changed
+ */
+async function applyChatFormat(plan) {
     const context = SillyTavern.getContext();
-   
-    // Create the settings if they don't exist or are empty
-    if (!context.extensionSettings[extensionName] || Object.keys(context.extensionSettings[extensionName]).length === 0) {
-        context.extensionSettings[extensionName] = { ...formatFixerDefaults };
-    } else {
-        // Ensure all default keys exist if settings were loaded but might be from an older version
-        for (const key in formatFixerDefaults) {
-            if (context.extensionSettings[extensionName][key] === undefined) {
-                context.extensionSettings[extensionName][key] = formatFixerDefaults[key];
-            }
+    let applied = 0;
+
+    for (const [index, change] of plan.changes.entries()) {
+        if (index % BULK_FORMAT_CHUNK_SIZE === BULK_FORMAT_CHUNK_SIZE - 1) {
+            await yieldToBrowser();
+        }
+        if (context.getCurrentChatId() !== plan.chatId) break;
+
+        const message = context.chat[change.messageId];
+        if (message?.mes !== change.before) continue;
+
+        const swipeIndex = hasSwipes(message) ? message.swipe_id : 0;
+        applyFormattedText(message, swipeIndex, change.before, change.after, getMessageSettings(message).historyLimit);
+        if (change.reasoning && getSwipeReasoning(message, swipeIndex) === change.reasoning.before) {
+            applyFormattedReasoning(message, swipeIndex, change.reasoning);
         }
+        context.updateMessageBlock(change.messageId, message);
+        applied++;
     }
 
-    // Last ditch attempt to ensure settings exist
-    if (context.extensionSettings[extensionName].processQuotes === undefined) {
-        context.extensionSettings[extensionName].processQuotes = false;
+    if (applied > 0) {
+        await context.saveChat();
     }
-    
-    context.saveSettingsDebounced();
-    return context.extensionSettings[extensionName];
+    return applied;
+}
+
+function renderChatFormatReport(plan, dryRun) {
+    const rows = plan.changes.map(change => `
+        <tr>
+            <td>#${change.messageId}</td>
+            <td>${escapeHtml(change.name ?? '')}</td>
+            <td>-${change.removed} / +${change.added}</td>
+        </tr>`).join('');
+
+    return `
+        <div class="format_fixer_report">
+            <h3>Format Chat${dryRun ? ' (dry run)' : ''}</h3>
+            <p>${plan.changes.length} of ${plan.checked} messages ${dryRun ? 'would change' : 'will change'}.</p>
+            <div class="format_fixer_table_wrapper">
+                <table class="format_fixer_table">
+                    <thead><tr><th>Message</th><th>Name</th><th>Characters</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${dryRun ? '' : '<p>Apply these changes? Each message can be reverted afterwards.</p>'}
+        </div>`;
 }
 
-function onProcessQuotesToggleChange(event) {
+/**
+ * Formats a range of chat messages after showing a report of the changes.
+ * Nothing is written unless the report is confirmed; a dry run only shows it.
+ * @param {object} [options]
+ * @param {string} [options.range] Message range such as 10 or 10-20, the whole chat if empty
+ * @param {string} [options.role='ai'] Messages to include: ai, user or both
+ * @param {boolean} [options.dryRun=false] Only report the changes
+ * @returns {Promise<{checked: number, changes: object[], applied: number}|null>} Summary, null if nothing ran
+ */
+async function formatChatRange({ range, role = 'ai', dryRun = false } = {}) {
     const context = SillyTavern.getContext();
-    const settings = context.extensionSettings['format-fixer'];
-    settings.processQuotes = $(event.target).prop('checked');
-    context.saveSettingsDebounced();
+    if (bulkFormatRunning) {
+        toastr.warning('Chat formatting is already running.', 'Format Fixer');
+        return null;
+    }
+    if (!context.chat.length) {
+        toastr.info('The chat is empty.', 'Format Fixer');
+        return null;
+    }
+    if (!BULK_FORMAT_ROLES.includes(role)) {
+        toastr.warning(`Unknown role "${role}", use one of: ${BULK_FORMAT_ROLES.join(', ')}.`, 'Format Fixer');
+        return null;
+    }
+
+    const bounds = range
+        ? stringToRange(String(range), 0, context.chat.length - 1)
+        : { start: 0, end: context.chat.length - 1 };
+    if (!bounds) {
+        toastr.warning(`Invalid message range "${range}".`, 'Format Fixer');
+        return null;
+    }
+
+    bulkFormatRunning = true;
+    try {
+        const plan = await planChatFormat({ ...bounds, role });
+        if (!plan) {
+            toastr.warning('The chat was switched, formatting was cancelled.', 'Format Fixer');
+            return null;
+        }
+
+        const summary = { checked: plan.checked, changes: plan.changes, applied: 0 };
+        if (!plan.changes.length) {
+            toastr.info(`No changes needed in ${plan.checked} messages.`, 'Format Fixer');
+            return summary;
+        }
+
+        const report = renderChatFormatReport(plan, dryRun);
+        if (dryRun) {
+            await context.callGenericPopup(report, context.POPUP_TYPE.TEXT, '', { wide: true });
+            return summary;
+        }
+
+        const confirmed = await context.callGenericPopup(report, context.POPUP_TYPE.CONFIRM, '', { wide: true, okButton: 'Apply' });
+        if (confirmed !== context.POPUP_RESULT.AFFIRMATIVE) {
+            return summary;
+        }
+
+        summary.applied = await applyChatFormat(plan);
+        const skipped = plan.changes.length - summary.applied;
+        toastr.success(`Formatted ${summary.applied} messages${skipped ? `, skipped ${skipped} changed in the meantime` : ''}.`, 'Format Fixer');
+        return summary;
+    } catch (error) {
+        console.error('Format Fixer chat formatting error:', error);
+        toastr.error(`Error formatting chat: ${error.message}`, 'Format Fixer');
+        return null;
+    } finally {
+        bulkFormatRunning = false;
+    }
 }
 
 // Format command function
-function formatCommand(_, text) {
+function formatCommand(args, text) {
     if (!text) {
         return "Please provide text to format";
     }
     try {
-        return processor.processText(text);
+        const passes = Number(args.passes);
+        return formatText(text, passes > 0 ? { untilStable: true, maxPasses: passes } : {});
     } catch (error) {
         console.error('Format command error:', error);
         return `Error formatting text: ${error.message}`;
@@ -1206,6 +1515,13 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({
     description: 'Format text with proper emphasis and quotes',
     callback: formatCommand,
     returns: 'the formatted text with proper emphasis and quotes',
+    namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+            name: 'passes',
+            description: 'maximum number of format passes, 1 for a single pass. Defaults to the Maximum Passes setting.',
+            typeList: [ARGUMENT_TYPE.NUMBER],
+        }),
+    ],
     helpString: `
         <div>
             <p>Formats text by fixing common formatting issues:</p>
@@ -1214,6 +1530,7 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({
                 <li>Converts single-word italics to bold</li>
                 <li>Fixes spacing around emphasis markers</li>
             </ul>
+            <p>Formatting repeats until the text stops changing (see Format Until Stable), so one call is enough.</p>
             <div>
                 <strong>Examples:</strong>
                 <pre><code>/format *"Hello,"* she said *"I'm happy to meet you."*</code></pre>
@@ -1223,12 +1540,561 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({
     `
 }));
 
+async function formatUndoCommand(args) {
+    const context = SillyTavern.getContext();
+    const messageId = args.mesId !== undefined && args.mesId !== '' ? Number(args.mesId) : context.chat.length - 1;
+    if (!Number.isInteger(messageId) || !context.chat[messageId]) {
+        toastr.warning(`Message ${args.mesId} not found.`, 'Format Fixer');
+        return '';
+    }
+
+    const restored = await revertFormat(messageId, {
+        swipeIndex: args.swipe !== undefined && args.swipe !== '' ? Number(args.swipe) : undefined,
+        steps: Math.max(1, Number(args.steps) || 1),
+        toOriginal: args.original === 'true',
+    });
+    if (restored === null) {
+        toastr.info('This message has no formatting to revert.', 'Format Fixer');
+        return '';
+    }
+    return restored;
+}
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'format-undo',
+    callback: formatUndoCommand,
+    returns: 'the restored message text',
+    namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+            name: 'mesId',
+            description: 'message index, defaults to the last message',
+            typeList: [ARGUMENT_TYPE.NUMBER],
+        }),
+        SlashCommandNamedArgument.fromProps({
+            name: 'swipe',
+            description: 'swipe index, defaults to the visible swipe',
+            typeList: [ARGUMENT_TYPE.NUMBER],
+        }),
+        SlashCommandNamedArgument.fromProps({
+            name: 'steps',
+            description: 'number of format passes to undo',
+            typeList: [ARGUMENT_TYPE.NUMBER],
+            defaultValue: '1',
+        }),
+        SlashCommandNamedArgument.fromProps({
+            name: 'original',
+            description: 'restore the text from before the first format pass',
+            typeList: [ARGUMENT_TYPE.BOOLEAN],
+            defaultValue: 'false',
+            enumList: ['true', 'false'],
+        }),
+    ],
+    helpString: `
+        <div>
+            <p>Reverts formatting applied to a chat message, one format pass at a time.</p>
+            <div>
+                <strong>Examples:</strong>
+                <pre><code>/format-undo</code></pre>
+                <p>Undoes the last format pass of the last message.</p>
+                <pre><code>/format-undo mesId=12 original=true</code></pre>
+                <p>Restores message 12 to its text before it was first formatted.</p>
+            </div>
+        </div>
+    `
+}));
+
+async function formatChatCommand(args) {
+    const summary = await formatChatRange({
+        range: args.range,
+        role: args.role || 'ai',
+        dryRun: args.dryRun === 'true',
+    });
+    if (!summary) {
+        return '';
+    }
+    return JSON.stringify({
+        checked: summary.checked,
+        applied: summary.applied,
+        changes: summary.changes.map(({ messageId, removed, added }) => ({ mesId: messageId, removed, added })),
+    });
+}
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'format-chat',
+    description: 'Format a range of chat messages after confirming a report of the changes',
+    callback: formatChatCommand,
+    returns: 'JSON with the number of messages checked and applied, and the changed messages',
+    namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+            name: 'range',
+            description: 'message index or range such as 10-20, defaults to the whole chat',
+            typeList: [ARGUMENT_TYPE.RANGE, ARGUMENT_TYPE.NUMBER],
+        }),
+        SlashCommandNamedArgument.fromProps({
+            name: 'role',
+            description: 'messages to format',
+            typeList: [ARGUMENT_TYPE.STRING],
+            defaultValue: 'ai',
+            enumList: BULK_FORMAT_ROLES,
+        }),
+        SlashCommandNamedArgument.fromProps({
+            name: 'dryRun',
+            description: 'only show the report, change nothing',
+            typeList: [ARGUMENT_TYPE.BOOLEAN],
+            defaultValue: 'false',
+            enumList: ['true', 'false'],
+        }),
+    ],
+    helpString: `
+        <div>
+            <p>Formats the visible text of existing chat messages. A report of the messages that would change is shown first, and nothing is written until it's confirmed. Formatted messages can be reverted like any other.</p>
+            <div>
+                <strong>Examples:</strong>
+                <pre><code>/format-chat</code></pre>
+                <p>Formats all AI messages in the chat.</p>
+                <pre><code>/format-chat range=100-200 role=both dryRun=true</code></pre>
+                <p>Reports which of messages 100 to 200 would change.</p>
+            </div>
+        </div>
+    `
+}));
+
+/**
+ * Finds the text a lint command checks and the settings that apply to it: the given text with the
+ * current settings, or the visible text of a chat message with that message's settings.
+ * @param {object} args Named arguments, mesId picks the message
+ * @param {string} text Unnamed argument
+ * @returns {{text: string, settings: object}|null} The text and settings, null if the message doesn't exist
+ */
+function getLintTarget(args, text) {
+    if (text) {
+        return { text, settings: resolveSettings().values };
+    }
+    const context = SillyTavern.getContext();
+    const messageId = args.mesId !== undefined && args.mesId !== '' ? Number(args.mesId) : context.chat.length - 1;
+    const message = context.chat[messageId];
+    if (!Number.isInteger(messageId) || !message || typeof message.mes !== 'string') {
+        toastr.warning(`Message ${args.mesId ?? messageId} not found.`, 'Format Fixer');
+        return null;
+    }
+    return { text: message.mes, settings: getMessageSettings(message) };
+}
+
+function formatLintCommand(args, text) {
+    const target = getLintTarget(args, text);
+    return target ? JSON.stringify(processor.lintText(target.text, target.settings)) : '';
+}
+
+function formatCheckCommand(args, text) {
+    const target = getLintTarget(args, text);
+    return target ? String(processor.lintText(target.text, target.settings).length > 0) : '';
+}
+
+const LINT_TARGET_ARGUMENTS = [
+    SlashCommandNamedArgument.fromProps({
+        name: 'mesId',
+        description: 'message index to check when no text is given, defaults to the last message',
+        typeList: [ARGUMENT_TYPE.NUMBER],
+    }),
+];
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'format-lint',
+    description: 'List formatting problems in text or a chat message without changing it',
+    callback: formatLintCommand,
+    returns: 'JSON list of findings with their rule code, line, column, excerpt and suggested fix',
+    namedArgumentList: LINT_TARGET_ARGUMENTS,
+    unnamedArgumentList: [
+        SlashCommandArgument.fromProps({
+            description: 'text to check, the message text if empty',
+            typeList: [ARGUMENT_TYPE.STRING],
+        }),
+    ],
+    helpString: `
+        <div>
+            <p>Checks text for formatting problems without changing it: unpaired <code>**</code>, lone asterisks inside quotes, quotes wrapped in asterisks, narration that isn't italicized, spacing around markers and more. Protected blocks and regions aren't checked.</p>
+            <p>Each finding has a rule <code>code</code>, a <code>message</code>, its position (<code>index</code>, <code>line</code> and <code>column</code>), the offending <code>excerpt</code> and a suggested <code>fix</code>. If no rule applies but <code>/format</code> would still change the text, an <code>other</code> finding shows the change.</p>
+            <div>
+                <strong>Examples:</strong>
+                <pre><code>/format-lint mesId=12</code></pre>
+                <pre><code>/format-lint "Wait *here." He **left.</code></pre>
+            </div>
+        </div>
+    `
+}));
+
+SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'format-check',
+    description: 'Check whether text or a chat message needs formatting',
+    callback: formatCheckCommand,
+    returns: 'true if /format-lint finds any problem, otherwise false',
+    namedArgumentList: LINT_TARGET_ARGUMENTS,
+    unnamedArgumentList: [
+        SlashCommandArgument.fromProps({
+            description: 'text to check, the message text if empty',
+            typeList: [ARGUMENT_TYPE.STRING],
+        }),
+    ],
+    helpString: `
+        <div>
+            <p>Returns <code>true</code> if the text has formatting problems, for branching in STScript. Uses the same checks as <code>/format-lint</code>.</p>
+            <div>
+                <strong>Example:</strong>
+                <pre><code>/format-check | /if left={{pipe}} rule=eq right=true {: /echo The last message needs formatting :}</code></pre>
+            </div>
+        </div>
+    `
+}));
+
+// Test suite. Built-in cases come from test-cases.js, the user's own are saved in the extension
+// settings under ids starting with user_ and can be updated, deleted, imported and exported.
+
+/**
+ * Returns the built-in test cases followed by the user's.
+ * @returns {Object<string, object>} Test cases by id
+ */
+function getTestCases() {
+    return combineTestCases(getSettings().userTestCases);
+}
+
+/**
+ * Resolves the settings the test panel formats its input with. Test cases are written for a
+ * specific style and options, custom input uses the current settings.
+ * @param {string} inputText Text in the input box
+ * @returns {{testCase: object|null, settings: object}} The selected test case if the input is its input, and the settings
+ */
+function getTestPanelSettings(inputText) {
+    const testCase = getTestCases()[$("#format_fixer_test_case").val()];
+    const isTestCaseInput = Boolean(testCase) && inputText === testCase.input;
+    return isTestCaseInput
+        ? { testCase, settings: getTestCaseSettings(testCase) }
+        : { testCase: null, settings: { ...resolveSettings().values, enabled: true } };
+}
+
+/**
+ * Fills the test case dropdown from the built-in and user cases, grouped by their group.
+ * @param {string} [selected] Id of the case to select, the current one by default
+ */
+function renderTestCaseOptions(selected = $("#format_fixer_test_case").val()) {
+    const option = (id, testCase) => `<option value="${escapeHtml(id)}">${escapeHtml(testCase.name)}</option>`;
+    const ungrouped = [];
+    const groups = new Map();
+    for (const [id, testCase] of Object.entries(getTestCases())) {
+        if (id === 'custom') continue;
+        if (testCase.group) {
+            groups.set(testCase.group, [...(groups.get(testCase.group) ?? []), option(id, testCase)]);
+        } else {
+            ungrouped.push(option(id, testCase));
+        }
+    }
+
+    const grouped = [...groups].map(([group, options]) => `<optgroup label="${escapeHtml(group)}">${options.join('')}</optgroup>`);
+    $("#format_fixer_test_case").html([...ungrouped, ...grouped, option('custom', TEST_CASES.custom)].join(''));
+    if (selected && getTestCases()[selected]) {
+        $("#format_fixer_test_case").val(selected);
+    }
+}
+
+function saveUserTestCases(cases) {
+    loadSettings().userTestCases = cases;
+    SillyTavern.getContext().saveSettingsDebounced();
+}
+
+/**
+ * Runs every test case and shows a summary, with the expected and actual output of each failed case.
+ */
+function runAllTestCases() {
+    const results = runTestSuite(processor, getTestCases());
+    const failed = results.filter(result => !result.passed);
+
+    const failures = failed.map(result => `
+        <div class="format_fixer_test_result">
+            <div>✗ ${escapeHtml(result.testCase.name)} <small>(${escapeHtml(result.id)})</small></div>
+            <small>Expected:</small>
+            <pre>${escapeHtml(result.expected)}</pre>
+            <small>Actual:</small>
+            <pre>${renderTraceDiff(result.expected, result.actual)}</pre>
+        </div>`).join('');
+    $("#format_fixer_test_results").html(`
+        <div>${results.length - failed.length} of ${results.length} passed${failed.length ? `, ${failed.length} failed` : ''}</div>
+        ${failures}`);
+}
+
+async function onSaveTestCase() {
+    const inputText = $("#format_fixer_test_input").val().trim();
+    if (!inputText) {
+        toastr.info('Enter the input text of the case first.', 'Format Fixer');
+        return;
+    }
+
+    const context = SillyTavern.getContext();
+    const name = await context.callGenericPopup('Name of the test case:', context.POPUP_TYPE.INPUT, '');
+    if (!name) return;
+
+    const settings = { ...resolveSettings().values, enabled: true };
+    const id = addUserTestCase(String(name), inputText, runFormatter(inputText, settings), settings);
+    renderTestCaseOptions(id);
+    $("#format_fixer_test_case").trigger("change");
+    toastr.success(`Saved test case "${name}".`, 'Format Fixer');
+}
+
+/**
+ * Saves a new user test case.
+ * @param {string} name Name of the case
+ * @param {string} input Input text
+ * @param {string} expected Expected output
+ * @param {object} settings Settings the output was made with
+ * @returns {string} Id of the new case
+ */
+function addUserTestCase(name, input, expected, settings) {
+    const id = `user_${Date.now()}`;
+    saveUserTestCases({
+        ...loadSettings().userTestCases,
+        [id]: createUserTestCase(name, input, expected, settings),
+    });
+    return id;
+}
+
+/**
+ * Turns a chat message the formatter gets wrong into a test case. Shows the text from before
+ * formatting and the formatter's output, and saves the case with the expected output typed in.
+ */
+async function onReportMisformatClick() {
+    const context = SillyTavern.getContext();
+    const messageId = Number($(this).closest('.mes').attr('mesid'));
+    const message = context.chat[messageId];
+    if (!message || typeof message.mes !== 'string') return;
+
+    try {
+        const swipeIndex = hasSwipes(message) ? message.swipe_id : 0;
+        const input = getFormatData(message, swipeIndex).original ?? message.mes;
+        const settings = { ...getMessageSettings(message), enabled: true };
+        const output = runFormatter(input, settings, { quiet: true });
+
+        const form = $(`
+            <div class="format_fixer_report">
+                <h3>Report Misformat</h3>
+                <label>Name:</label>
+                <input type="text" class="text_pole" data-field="name" />
+                <label>Message text before formatting:</label>
+                <textarea class="text_pole" rows="4" readonly></textarea>
+                <label>Formatter output:</label>
+                <textarea class="text_pole" rows="4" readonly></textarea>
+                <label>Expected output:</label>
+                <textarea class="text_pole" rows="4" data-field="expected"></textarea>
+                <small>Saved under Your Cases in the test suite. Export them there to share.</small>
+            </div>`);
+        const [inputBox, outputBox] = form.find('textarea[readonly]').toArray();
+        inputBox.value = input;
+        outputBox.value = output;
+        form.find("[data-field='name']").val(`${message.name ?? 'Message'} #${messageId}`);
+        form.find("[data-field='expected']").val(output);
+
+        const confirmed = await context.callGenericPopup(form, context.POPUP_TYPE.CONFIRM, '', { wide: true, okButton: 'Save Case' });
+        if (confirmed !== context.POPUP_RESULT.AFFIRMATIVE) return;
+
+        const name = String(form.find("[data-field='name']").val()).trim() || `Message #${messageId}`;
+        const id = addUserTestCase(name, input, String(form.find("[data-field='expected']").val()), settings);
+        renderTestCaseOptions(id);
+        toastr.success(`Saved test case "${name}".`, 'Format Fixer');
+    } catch (error) {
+        console.error('Format Fixer report error:', error);
+        toastr.error(`Could not save the test case: ${error.message}`, 'Format Fixer');
+    }
+}
+
+function onAcceptTestOutput() {
+    const id = $("#format_fixer_test_case").val();
+    const cases = loadSettings().userTestCases;
+    if (!cases[id]) {
+        toastr.info('Only your own test cases can be updated. Save the input as a new case instead.', 'Format Fixer');
+        return;
+    }
+
+    const inputText = $("#format_fixer_test_input").val().trim();
+    const testCase = { ...cases[id], input: inputText || cases[id].input };
+    // Only the output is accepted; expected lint findings are left to compare against
+    const { actual } = runTestCase(processor, { ...testCase, lint: undefined }, getTestCaseSettings(testCase));
+    saveUserTestCases({ ...cases, [id]: { ...testCase, expected: actual } });
+    $("#format_fixer_test_output").val(`Test Case: ${testCase.name}\nExpected output updated to: ${actual}`);
+}
+
+function onDeleteTestCase() {
+    const id = $("#format_fixer_test_case").val();
+    const cases = { ...loadSettings().userTestCases };
+    if (!cases[id]) {
+        toastr.info('Only your own test cases can be deleted.', 'Format Fixer');
+        return;
+    }
+    delete cases[id];
+    saveUserTestCases(cases);
+    renderTestCaseOptions('custom');
+    $("#format_fixer_test_case").trigger("change");
+}
+
+async function onTestCasesImport(event) {
+    try {
+        const data = await readJsonFile(event.target);
+        if (data === undefined) return;
+        const cases = parseTestCases(data);
+        saveUserTestCases({ ...loadSettings().userTestCases, ...cases });
+        renderTestCaseOptions();
+        toastr.success(`Imported ${Object.keys(cases).length} test cases.`, 'Format Fixer');
+    } catch (error) {
+        console.error('Format Fixer test case import error:', error);
+        toastr.error(`Could not import test cases: ${error.message}`, 'Format Fixer');
+    }
+}
+
+// Pipeline trace, shown in the test panel and exported for bug reports
+
+let lastTrace = null;
+
+/**
+ * Renders a step's text with the part the stage changed marked up.
+ * @param {string} before Text before the stage
+ * @param {string} after Text after the stage
+ * @returns {string} HTML
+ */
+function renderTraceDiff(before, after) {
+    const { prefix, suffix } = getUnchangedEnds(before, after);
+    const removed = before.slice(prefix, before.length - suffix);
+    const added = after.slice(prefix, after.length - suffix);
+    return escapeHtml(after.slice(0, prefix))
+        + (removed ? `<del>${escapeHtml(removed)}</del>` : '')
+        + (added ? `<ins>${escapeHtml(added)}</ins>` : '')
+        + escapeHtml(after.slice(after.length - suffix));
+}
+
+function renderTrace(trace) {
+    const passes = trace.passes.map((pass, index) => {
+        let previous = pass.input;
+        const steps = pass.steps.map(step => {
+            const changed = step.text !== previous;
+            const diff = changed ? renderTraceDiff(previous, step.text) : '';
+            previous = step.text;
+            const status = !step.enabled ? 'disabled' : changed ? '' : 'no change';
+            const placeholders = Object.entries(step.placeholders ?? {}).map(([placeholder, content]) =>
+                `<li><code>${escapeHtml(placeholder)}</code> = <code>${escapeHtml(content)}</code></li>`).join('');
+            return `
+                <div class="format_fixer_trace_step ${changed ? 'changed' : ''}">
+                    <div>${escapeHtml(step.name)}${status ? ` <small>(${status})</small>` : ''}</div>
+                    ${changed ? `<pre>${diff}</pre>` : ''}
+                    ${step.error ? `<div class="format_fixer_trace_error">${escapeHtml(step.error)}</div>` : ''}
+                    ${placeholders ? `<ul>${placeholders}</ul>` : ''}
+                </div>`;
+        }).join('');
+        return `
+            <div class="format_fixer_trace_pass">
+                <label>Pass ${index + 1}${pass.output === pass.input ? ' (no change)' : ''}</label>
+                ${steps}
+            </div>`;
+    }).join('');
+    $("#format_fixer_trace").html(passes);
+}
+
+/**
+ * Describes lint findings for the test panel, one per line.
+ * @param {object[]} findings Result of lintText
+ * @returns {string} The findings, or a note that there are none
+ */
+function describeLintFindings(findings) {
+    if (!findings.length) {
+        return "No problems found";
+    }
+    return findings.map(finding =>
+        `${finding.line}:${finding.column} ${finding.code} - ${finding.message}: ${JSON.stringify(finding.excerpt)} -> ${JSON.stringify(finding.fix)}`
+    ).join('\n');
+}
+
+/**
+ * Replaces part of a textarea's content through the browser's editing commands,
+ * so the change can be undone with Ctrl+Z.
+ * @param {HTMLTextAreaElement} textarea Target textarea
+ * @param {number} start Start of the replaced range
+ * @param {number} end End of the replaced range
+ * @param {string} text New content of the range
+ */
+function replaceTextareaRange(textarea, start, end, text) {
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+    if (!document.execCommand('insertText', false, text)) {
+        // Browsers without insertText support for textareas lose the undo step
+        textarea.setRangeText(text, start, end);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+}
+
+/**
+ * Formats the message being written or edited: the lines the selection touches, or all of it when
+ * nothing is selected. The selection or caret stays on the same text.
+ * @param {HTMLTextAreaElement} textarea The input box, or the message editor
+ * @param {object} [settings] Effective settings, those of the current context by default
+ */
+function formatInputBox(textarea, settings = resolveSettings().values) {
+    try {
+        const text = textarea.value;
+        if (!text) {
+            return;
+        }
+        const result = processor.formatSelection(text, textarea.selectionStart, textarea.selectionEnd, settings);
+        if (settings.untilStable) {
+            reportUnstableFormatting(result, text.slice(result.start, result.end));
+        }
+        if (result.replacement !== text.slice(result.start, result.end)) {
+            replaceTextareaRange(textarea, result.start, result.end, result.replacement);
+        }
+        textarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+    } catch (error) {
+        console.error('Format Fixer input formatting error:', error);
+        toastr.error(`Error formatting the message: ${error.message}`, 'Format Fixer');
+    }
+}
+
+/**
+ * Formats the input box on the format shortcut.
+ * @param {KeyboardEvent} event Keydown event from the input box
+ */
+function onInputBoxKeydown(event) {
+    if (matchesShortcut(event, getSettings().inputShortcut)) {
+        event.preventDefault();
+        formatInputBox(event.currentTarget);
+    }
+}
+
+/**
+ * Inserts text pasted into the input box, then formats the lines it touches like the format
+ * shortcut, with the caret after the paste. Leaves the paste to the browser when formatting is off.
+ * @param {JQuery.TriggeredEvent} event Paste event from the input box
+ */
+function onInputBoxPaste(event) {
+    try {
+        const settings = resolveSettings().values;
+        const pasted = event.originalEvent.clipboardData?.getData('text/plain');
+        if (!settings.formatOnPaste || !pasted) {
+            return;
+        }
+        event.preventDefault();
+        const textarea = event.currentTarget;
+        const start = textarea.selectionStart;
+        // Textareas store line breaks as \n
+        const inserted = pasted.replace(/\r\n?/g, '\n');
+        replaceTextareaRange(textarea, start, textarea.selectionEnd, inserted);
+        // Format the lines the paste lands on, so the text around it, such as an open quote, is taken into account
+        textarea.setSelectionRange(start, start + inserted.length);
+        formatInputBox(textarea, settings);
+        textarea.setSelectionRange(textarea.selectionEnd, textarea.selectionEnd);
+    } catch (error) {
+        console.error('Format Fixer paste format error:', error);
+    }
+}
+
 // Initialize extension
 jQuery(async () => {
     try {
         // Load settings
-        const settings = loadSettings();
-        
+        loadSettings();
+
         // Add settings panel
         const settingsHtml = `
             <div class="format-fixer-settings">
@@ -1239,28 +2105,110 @@ jQuery(async () => {
                     </div>
                     <div class="inline-drawer-content">
                         <div class="format_fixer_block">
-                            <input title="When enabled, removes asterisks directly surrounding quotation marks.\nEnable if using a very low-power model that frequently places these incorrectly, otherwise leave disabled." type="checkbox" id="format_fixer_process_quotes" ${settings.processQuotes ? 'checked' : ''} />
-                            <label for="format_fixer_process_quotes">Process Quotes</label>
+                            <label for="format_fixer_layer">Settings Layer:</label>
+                            <div class="flex-container">
+                                <select id="format_fixer_layer" class="flex1" title="Layer to edit. Later layers override earlier ones: global, model, character, group, chat."></select>
+                                <input id="format_fixer_clear_layer" class="menu_button" type="button" value="Clear Overrides" />
+                            </div>
+                        </div>
+
+                        <div id="format_fixer_settings_controls" class="format_fixer_block"></div>
+
+                        <div class="format_fixer_block">
+                            <label for="format_fixer_input_shortcut">Format Shortcut:</label>
+                            <small>Formats the send box, or only the selected lines. Modifiers and a key joined by +, e.g. Ctrl+Alt+F. Leave empty to turn it off. Applies to every layer.</small>
+                            <input id="format_fixer_input_shortcut" class="text_pole" type="text" placeholder="None" />
                         </div>
-                        
+
+                        <div class="format_fixer_block">
+                            <label>Uncensor Rules:</label>
+                            <small>Patterns are regular expressions, matched case-insensitively. Variants pick another word by how the match ends, e.g. <code>ies=titties, s=tits</code>. The rule list applies to every layer.</small>
+                            <div class="format_fixer_table_wrapper">
+                                <table id="format_fixer_uncensor_rules" class="format_fixer_table">
+                                    <thead>
+                                        <tr><th>On</th><th>Pattern</th><th>Replacement</th><th>Variants</th><th></th></tr>
+                                    </thead>
+                                    <tbody></tbody>
+                                </table>
+                            </div>
+                            <div class="flex-container">
+                                <input id="format_fixer_uncensor_add" class="menu_button" type="button" value="Add Rule" />
+                                <input id="format_fixer_uncensor_import" class="menu_button" type="button" value="Import" />
+                                <input id="format_fixer_uncensor_export" class="menu_button" type="button" value="Export" />
+                                <input id="format_fixer_uncensor_reset" class="menu_button" type="button" value="Reset to Defaults" />
+                                <input id="format_fixer_uncensor_file" type="file" accept=".json,application/json" hidden />
+                            </div>
+                        </div>
+
+                        <div class="format_fixer_block">
+                            <label>Protected Regions:</label>
+                            <small>Parts of a message the formatter leaves alone, formats on their own, or formats as narration with only their delimiters kept as written. Regions are matched in order. The list applies to every layer.</small>
+                            <div class="format_fixer_table_wrapper">
+                                <table id="format_fixer_protected_regions" class="format_fixer_table">
+                                    <thead>
+                                        <tr><th>On</th><th>Kind</th><th>Open / Tag / Pattern</th><th>Close</th><th>Content</th><th>Unclosed</th><th></th></tr>
+                                    </thead>
+                                    <tbody></tbody>
+                                </table>
+                            </div>
+                            <div class="flex-container">
+                                <input id="format_fixer_regions_add" class="menu_button" type="button" value="Add Region" />
+                                <input id="format_fixer_regions_import" class="menu_button" type="button" value="Import" />
+                                <input id="format_fixer_regions_export" class="menu_button" type="button" value="Export" />
+                                <input id="format_fixer_regions_reset" class="menu_button" type="button" value="Reset to Defaults" />
+                                <input id="format_fixer_regions_file" type="file" accept=".json,application/json" hidden />
+                            </div>
+                        </div>
+
+                        <div class="format_fixer_block">
+                            <label>Reasoning Delimiters:</label>
+                            <small>Reasoning between these is handled by the Reasoning setting above. An opening without a closing runs to the end of the message. SillyTavern's own reasoning prefix and suffix are always recognized. The list applies to every layer.</small>
+                            <div class="format_fixer_table_wrapper">
+                                <table id="format_fixer_reasoning_delimiters" class="format_fixer_table">
+                                    <thead>
+                                        <tr><th>On</th><th>Open</th><th>Close</th><th></th></tr>
+                                    </thead>
+                                    <tbody></tbody>
+                                </table>
+                            </div>
+                            <div class="flex-container">
+                                <input id="format_fixer_reasoning_add" class="menu_button" type="button" value="Add Delimiters" />
+                                <input id="format_fixer_reasoning_import" class="menu_button" type="button" value="Import" />
+                                <input id="format_fixer_reasoning_export" class="menu_button" type="button" value="Export" />
+                                <input id="format_fixer_reasoning_reset" class="menu_button" type="button" value="Reset to Defaults" />
+                                <input id="format_fixer_reasoning_file" type="file" accept=".json,application/json" hidden />
+                            </div>
+                        </div>
+
+                        <div class="format_fixer_block">
+                            <label>Pipeline Stages:</label>
+                            <small>Stages run from top to bottom. The order applies to every layer.</small>
+                            <div id="format_fixer_pipeline"></div>
+                            <div id="format_fixer_pipeline_warnings"></div>
+                            <input id="format_fixer_pipeline_reset" class="menu_button" type="button" value="Reset Pipeline" />
+                        </div>
+
+                        <div class="format_fixer_block">
+                            <label>Format Chat:</label>
+                            <small>Formats existing messages of the current chat. Shows a report of the changes before anything is written.</small>
+                            <div class="flex-container">
+                                <input id="format_fixer_bulk_range" class="text_pole flex1" type="text" placeholder="Range, e.g. 10-20 (all)" />
+                                <select id="format_fixer_bulk_role" class="flex1">
+                                    <option value="ai">AI messages</option>
+                                    <option value="user">User messages</option>
+                                    <option value="both">All messages</option>
+                                </select>
+                            </div>
+                            <div class="format_fixer_setting">
+                                <input type="checkbox" id="format_fixer_bulk_dry_run" />
+                                <label for="format_fixer_bulk_dry_run">Dry run (report only)</label>
+                            </div>
+                            <input id="format_fixer_bulk_format" class="menu_button" type="button" value="Format Chat" />
+                        </div>
+
                         <div class="format_fixer_block">
                             <label for="format_fixer_test_case">Test Case:</label>
-                            <select id="format_fixer_test_case">
-                                <option value="basic">Basic Quote and Narrative</option>
-                                <option value="nested">Nested Emphasis</option>
-                                <option value="complex">Complex Mixed Formatting</option>
-                                <option value="narrative_quote">Quote Within Narrative</option>
-                                <option value="spacing_issues">Spacing Issues</option>
-                                <option value="cyoa">CYOA Options</option>
-                                <option value="height_measurement">Height Measurement Protection</option>
-                                <option value="single_word_emphasis">Single Word Emphasis at Line Start</option>
-                                <option value="html_comment">HTML Comment Protection</option>
-                                <option value="html_inline">HTML Inline Element Protection</option>
-                                <option value="html_block">HTML Block Element Protection</option>
-                                <option value="html_void">HTML Void Element Protection</option>
-                                <option value="html_style">HTML Style Block Protection</option>
-                                <option value="custom">Custom Input</option>
-                            </select>
+                            <select id="format_fixer_test_case"></select>
                         </div>
 
                         <div class="format_fixer_block">
@@ -1274,7 +2222,28 @@ jQuery(async () => {
                         </div>
 
                         <div class="format_fixer_block">
-                            <input id="format_fixer_test" class="menu_button" type="button" value="Run Test" />
+                            <div class="flex-container">
+                                <input id="format_fixer_test" class="menu_button" type="button" value="Run Test" />
+                                <input id="format_fixer_lint" class="menu_button" type="button" value="Lint" title="Lists formatting problems in the input without changing it" />
+                                <input id="format_fixer_trace_run" class="menu_button" type="button" value="Trace" title="Shows the text after every pipeline stage, with the changes highlighted" />
+                                <input id="format_fixer_trace_export" class="menu_button" type="button" value="Export Trace" title="Downloads the last trace as JSON, to attach to a bug report" />
+                            </div>
+                            <div id="format_fixer_trace"></div>
+                        </div>
+
+                        <div class="format_fixer_block">
+                            <label>Test Suite:</label>
+                            <small>Your own cases are listed under Your Cases. Accept Output updates the selected case with the current input and output.</small>
+                            <div class="flex-container">
+                                <input id="format_fixer_test_run_all" class="menu_button" type="button" value="Run All" />
+                                <input id="format_fixer_test_save" class="menu_button" type="button" value="Save as Case" title="Saves the input and its current output as a new test case" />
+                                <input id="format_fixer_test_accept" class="menu_button" type="button" value="Accept Output" title="Makes the current output the expected output of the selected case" />
+                                <input id="format_fixer_test_delete" class="menu_button" type="button" value="Delete Case" />
+                                <input id="format_fixer_test_import" class="menu_button" type="button" value="Import" />
+                                <input id="format_fixer_test_export" class="menu_button" type="button" value="Export" />
+                                <input id="format_fixer_test_file" type="file" accept=".json,application/json" hidden />
+                            </div>
+                            <div id="format_fixer_test_results"></div>
                         </div>
                     </div>
                 </div>
@@ -1282,12 +2251,13 @@ jQuery(async () => {
         $('#extensions_settings2').append(settingsHtml);
         
         // Add format button to message input area
-        const buttonHtml = '<button id="format_message" class="menu_button" title="Format message"><i class="fa-solid fa-wand-magic-sparkles"></i></button>';
+        const buttonHtml = '<button id="format_message" class="menu_button" title="Format message, or only the selected lines"><i class="fa-solid fa-wand-magic-sparkles"></i></button>';
         $("#send_but_sheld").prepend(buttonHtml);
 
         // Handle test case selection
+        renderTestCaseOptions('basic');
         $("#format_fixer_test_case").on("change", (e) => {
-            const testCase = TEST_CASES[e.target.value];
+            const testCase = getTestCases()[e.target.value];
             if (testCase) {
                 $("#format_fixer_test_input").val(testCase.input);
                 $("#format_fixer_test_output").val('');
@@ -1303,11 +2273,11 @@ jQuery(async () => {
                     return;
                 }
 
-                const result = processor.processText(inputText);
-                const testCase = TEST_CASES[$("#format_fixer_test_case").val()];
+                const { testCase, settings } = getTestPanelSettings(inputText);
+                const result = runFormatter(inputText, settings);
                 
                 // If this matches a test case input, compare with expected
-                if (testCase && inputText === testCase.input) {
+                if (testCase) {
                     const passed = result === testCase.expected;
                     $("#format_fixer_test_output").val(
                         `Test Case: ${testCase.name}\n` +
@@ -1331,18 +2301,146 @@ jQuery(async () => {
             }
         });
 
-        // Handle format button click
-        $("#format_message").on("click", () => {
-            const messageInput = $("#send_textarea");
-            const currentText = messageInput.val();
-            if (currentText) {
-                const formattedText = processor.processText(currentText);
-                messageInput.val(formattedText);
+        // Handle lint button click
+        $("#format_fixer_lint").on("click", () => {
+            try {
+                const inputText = $("#format_fixer_test_input").val().trim();
+                if (!inputText) {
+                    $("#format_fixer_test_output").val("Please enter some text to check");
+                    return;
+                }
+
+                const { testCase, settings } = getTestPanelSettings(inputText);
+                const findings = processor.lintText(inputText, settings);
+                let output = describeLintFindings(findings);
+
+                if (testCase?.lint) {
+                    const codes = findings.map(finding => finding.code);
+                    const passed = codes.join() === testCase.lint.join();
+                    output += `\nExpected: ${testCase.lint.join(', ') || 'no findings'}\nStatus: ${passed ? "✓ PASSED" : "✗ FAILED"}`;
+                }
+                $("#format_fixer_test_output").val(output);
+            } catch (error) {
+                console.error('Format lint error:', error);
+                $("#format_fixer_test_output").val(`Error checking text: ${error.message}`);
+            }
+        });
+
+        // Handle test suite
+        $("#format_fixer_test_run_all").on("click", () => {
+            try {
+                runAllTestCases();
+            } catch (error) {
+                console.error('Format test suite error:', error);
+                $("#format_fixer_test_results").text(`Error running the test suite: ${error.message}`);
+            }
+        });
+        $("#format_fixer_test_save").on("click", onSaveTestCase);
+        $("#format_fixer_test_accept").on("click", onAcceptTestOutput);
+        $("#format_fixer_test_delete").on("click", onDeleteTestCase);
+        $("#format_fixer_test_import").on("click", () => $("#format_fixer_test_file").trigger("click"));
+        $("#format_fixer_test_file").on("change", onTestCasesImport);
+        $("#format_fixer_test_export").on("click", () => downloadJson(loadSettings().userTestCases, 'format-fixer-test-cases.json'));
+
+        // Handle pipeline trace
+        $("#format_fixer_trace_run").on("click", () => {
+            const inputText = $("#format_fixer_test_input").val().trim();
+            if (!inputText) {
+                $("#format_fixer_test_output").val("Please enter some text to trace");
+                return;
+            }
+            const { settings } = getTestPanelSettings(inputText);
+            lastTrace = { ...processor.traceText(inputText, settings, { untilStable: settings.untilStable }), settings, date: new Date().toISOString() };
+            renderTrace(lastTrace);
+        });
+        $("#format_fixer_trace_export").on("click", () => {
+            if (!lastTrace) {
+                toastr.info('Run a trace first.', 'Format Fixer');
+                return;
+            }
+            downloadJson(lastTrace, 'format-fixer-trace.json');
+        });
+
+        // Handle format button click and hotkey
+        $("#format_message").on("click", () => formatInputBox($("#send_textarea")[0]));
+        $("#send_textarea").on("keydown", onInputBoxKeydown);
+        $("#send_textarea").on("paste", onInputBoxPaste);
+        $("#format_fixer_input_shortcut").val(loadSettings().inputShortcut).on("change", (e) => {
+            loadSettings().inputShortcut = e.target.value.trim();
+            SillyTavern.getContext().saveSettingsDebounced();
+        });
+
+        // Add format button to the message actions menu and the message editor
+        const formatButtonHtml = '<div title="Format message and all its swipes" class="mes_button mes_format_fixer_format fa-solid fa-wand-magic-sparkles interactable" tabindex="0"></div>';
+        $("#message_template .mes_buttons .extraMesButtons").prepend(formatButtonHtml);
+        $(document).on("click", ".mes_format_fixer_format", onFormatButtonClick);
+        const editorButtonHtml = '<div title="Format the edited text, or only the selected lines. Only the draft changes: confirm the edit to save it." class="menu_button mes_edit_format_fixer fa-solid fa-wand-magic-sparkles interactable" tabindex="0"></div>';
+        $("#message_template .mes_edit_buttons").prepend(editorButtonHtml);
+        $(document).on("click", ".mes_edit_format_fixer", onEditorFormatButtonClick);
+
+        // Add raw text toggle to the message actions menu, shown for messages formatted for display only
+        const rawButtonHtml = '<div title="Show raw text" class="mes_button mes_format_fixer_raw fa-solid fa-code interactable" tabindex="0"></div>';
+        $("#message_template .mes_buttons .extraMesButtons").prepend(rawButtonHtml);
+        $(document).on("click", ".mes_format_fixer_raw", onRawToggleClick);
+
+        // Add revert button to the message actions menu
+        const revertButtonHtml = '<div title="Revert formatting" class="mes_button mes_format_fixer_revert fa-solid fa-rotate-left interactable" tabindex="0"></div>';
+        $("#message_template .mes_buttons .extraMesButtons").prepend(revertButtonHtml);
+        $(document).on("click", ".mes_format_fixer_revert", onRevertButtonClick);
+
+        // Add report button to the message actions menu
+        const reportButtonHtml = '<div title="Report misformat" class="mes_button mes_format_fixer_report fa-solid fa-bug interactable" tabindex="0"></div>';
+        $("#message_template .mes_buttons .extraMesButtons").prepend(reportButtonHtml);
+        $(document).on("click", ".mes_format_fixer_report", onReportMisformatClick);
+
+        // Handle bulk chat formatting
+        $("#format_fixer_bulk_format").on("click", () => formatChatRange({
+            range: String($("#format_fixer_bulk_range").val()).trim(),
+            role: $("#format_fixer_bulk_role").val(),
+            dryRun: $("#format_fixer_bulk_dry_run").prop("checked"),
+        }));
+
+        // Handle settings layer controls
+        $("#format_fixer_layer").on("change", (e) => {
+            editedLayerId = e.target.value;
+            renderSettingsControls();
+        });
+        $("#format_fixer_clear_layer").on("click", () => {
+            clearLayer(getEditedLayer());
+            renderSettingsControls();
+        });
+        $("#format_fixer_settings_controls").on("change", "[data-key]", onSettingControlChange);
+
+        // The available layers depend on the open chat and the connected model
+        const { eventSource, event_types } = SillyTavern.getContext();
+        for (const eventType of [event_types.CHAT_CHANGED, event_types.CHATCOMPLETION_MODEL_CHANGED, event_types.MAIN_API_CHANGED, event_types.ONLINE_STATUS_CHANGED]) {
+            if (eventType) {
+                eventSource.on(eventType, renderSettingsControls);
             }
+        }
+        renderSettingsControls();
+
+        // Handle pipeline stage controls
+        $("#format_fixer_pipeline").on("change", "[data-action='toggle']", onPipelineControlChange);
+        $("#format_fixer_pipeline").on("click", "[data-action='up'], [data-action='down']", onPipelineControlChange);
+        $("#format_fixer_pipeline_reset").on("click", () => {
+            savePipeline([]);
+            renderPipelineControls();
         });
+        // Process Quotes is switched from the options above, keep its stage in sync
+        $("#format_fixer_settings_controls").on("change", "[data-key]", renderPipelineControls);
+        // Any option can change how display-only messages look
+        $("#format_fixer_settings_controls").on("change", "[data-key]", renderDisplayedChat);
+        renderPipelineControls();
+
+        // Handle the rule table editors
+        [UNCENSOR_RULE_EDITOR, PROTECTED_REGION_EDITOR, REASONING_DELIMITER_EDITOR].forEach(setupTableEditor);
+
+        registerAutoFormatEvents();
 
-        // Handle process quotes toggle
-        $("#format_fixer_process_quotes").on("change", onProcessQuotesToggleChange);
+        // Characters are loaded once the app is ready, if they aren't already
+        migrateAssistantTag();
+        eventSource.on(event_types.APP_READY, migrateAssistantTag);
         
         // Initialize test case dropdown
         $("#format_fixer_test_case").trigger("change");
@@ -0,0 +1,364 @@
+// Test cases, run from the settings panel and by tests/run-tests.js
+// style: output style the case is written for (default: italic_narration)
+// settings: other formatter options the case needs
+// untilStable: run passes until the output stops changing instead of a single pass
+// streaming: format the input as a streamed reply, one character at a time
+// lint: codes the linter reports for the input, in order
+// group: heading the case is listed under in the settings panel
+
+export const TEST_CASES = {
+    basic: {
+        name: "Basic Quote and Narrative",
+        input: '*"Hello,"* she said *"I\'m happy to meet you."*',
+        expected: '"Hello," *she said* "I\'m happy to meet you."',
+        settings: { processQuotes: true }
+    },
+    nested: {
+        name: "Nested Emphasis",
+        input: '*The cat was *very* cute* "He was *quite* happy"',
+        expected: '*The cat was **very** cute* "He was **quite** happy"'
+    },
+    complex: {
+        name: "Complex Mixed Formatting",
+        input: '*"Where did they go?"* The cat wondered, watching the *mysterious* figure disappear into the *dark and *spooky* night.*',
+        expected: '"Where did they go?" *The cat wondered, watching the **mysterious** figure disappear into the dark and **spooky** night.*',
+        settings: { processQuotes: true }
+    },
+    unclosed_emphasis: {
+        name: "Unclosed Emphasis",
+        input: '*Unclosed emphasis here',
+        expected: '*Unclosed emphasis here*'
+    },
+    stray_asterisks: {
+        name: "Stray Single Asterisks",
+        input: 'She smiled.* "Hi."\n"Hello," *she said, *smiling.',
+        expected: '*She smiled.* "Hi."\n"Hello," *she said, smiling.*',
+        untilStable: true
+    },
+    inline_code: {
+        name: "Inline Code in Narration",
+        input: 'Text with `code *here*` inline.',
+        expected: '*Text with* `code *here*` *inline.*',
+        untilStable: true
+    },
+    narrative_quote: {
+        name: "Quote Within Narrative",
+        input: '*The man needed no "help" to fetch his gun*',
+        expected: '*The man needed no "help" to fetch his gun*'
+    },
+    spacing_issues: {
+        name: "Spacing Issues",
+        input: "I  've got     way too many    spaces   - in my text  .",
+        expected: "*I've got way too many spaces - in my text.*"
+    },
+    split_contractions: {
+        name: "Split Contractions",
+        input: "They 're here and it 's late, don 't go.",
+        expected: "*They're here and it's late, don't go.*"
+    },
+    single_quotes: {
+        name: "Single-Quoted Letters",
+        input: "Press the 's' key, then say 'd is for dog' to him.",
+        expected: "*Press the 's' key, then say 'd is for dog' to him.*"
+    },
+    cyoa: {
+        name: "CYOA Options",
+        input: '*The ancient tome presents you with several choices:*\n\n1. Open the mysterious door\n2> Investigate the strange sounds\nA) Talk to the old man\nB. Run away as fast as possible',
+        expected: '*The ancient tome presents you with several choices:*\n\n1. Open the mysterious door\n2> Investigate the strange sounds\nA) Talk to the old man\nB. Run away as fast as possible'
+    },
+    height_measurement: {
+        name: "Height Measurement Protection",
+        input: '*She was 5\'10" tall and wore a "beautiful" dress*',
+        expected: '*She was 5\'10" tall and wore a "beautiful" dress*'
+    },
+    single_word_emphasis: {
+        name: "Single Word Emphasis at Line Start",
+        input: '**Bold.**\n**Bold** text here\n**Another** bold word\nSome **inline** bold',
+        expected: '***Bold.***\n***Bold** text here*\n***Another** bold word*\n*Some **inline** bold*'
+    },
+    html_comment: {
+        name: "HTML Comment Protection",
+        input: '<!-- header -->\nShe stepped inside, heart pounding.',
+        expected: '<!-- header -->\n*She stepped inside, heart pounding.*'
+    },
+    html_inline: {
+        name: "HTML Inline Element Protection",
+        input: '*She reached out and touched the <span style="color:red">glowing crystal</span>, feeling its warmth.*',
+        expected: '*She reached out and touched the <span style="color:red">glowing crystal</span>, feeling its warmth.*'
+    },
+    html_block: {
+        name: "HTML Block Element Protection",
+        input: '<div class="choice-box">\n  **Option A:** Run away\n  **Option B:** Stay and fight\n</div>\n\nShe made her choice.',
+        expected: '<div class="choice-box">\n  **Option A:** Run away\n  **Option B:** Stay and fight\n</div>\n\n*She made her choice.*'
+    },
+    html_void: {
+        name: "HTML Void Element Protection",
+        input: 'The door opened.<br>She stepped inside, heart pounding.',
+        expected: '*The door opened.<br>She stepped inside, heart pounding.*'
+    },
+    html_style: {
+        name: "HTML Style Block Protection",
+        input: '<style>.choice { color: red; font-weight: bold; }</style>\n\nShe made her choice.',
+        expected: '<style>.choice { color: red; font-weight: bold; }</style>\n\n*She made her choice.*'
+    },
+    novel_basic: {
+        name: "Novel: Unwrapped Narration",
+        group: "Novel",
+        style: 'novel',
+        input: '*"Hello,"* she said. *She smiled at him, her eyes *bright* with joy.*',
+        expected: '"Hello," she said. She smiled at him, her eyes *bright* with joy.'
+    },
+    novel_emphasis: {
+        name: "Novel: Emphasis Kept as Italics",
+        group: "Novel",
+        style: 'novel',
+        input: 'The cat was *very* cute. "I *really* mean it," he said.',
+        expected: 'The cat was *very* cute. "I *really* mean it," he said.'
+    },
+    novel_bold_nested: {
+        name: "Novel: Nested Bold Becomes Italics",
+        group: "Novel",
+        style: 'novel',
+        input: '*The cat was **very** cute.*\n"Hi there."',
+        expected: 'The cat was *very* cute.\n"Hi there."'
+    },
+    action_basic: {
+        name: "Asterisk Actions: Short Actions Kept",
+        group: "Asterisk Actions",
+        style: 'asterisk_action',
+        input: '"Hello," *smiles* "Nice to meet you."',
+        expected: '"Hello," *smiles* "Nice to meet you."'
+    },
+    action_long_narration: {
+        name: "Asterisk Actions: Long Narration Unwrapped",
+        group: "Asterisk Actions",
+        style: 'asterisk_action',
+        input: '*She walked slowly across the room and looked out of the window for a long while.*\n*nods*',
+        expected: 'She walked slowly across the room and looked out of the window for a long while.\n*nods*'
+    },
+    action_dialogue: {
+        name: "Asterisk Actions: Dialogue Unwrapped",
+        group: "Asterisk Actions",
+        style: 'asterisk_action',
+        input: '*"Come here,"* *waves* *"quickly!"*',
+        expected: '"Come here," *waves* "quickly!"'
+    },
+    markdown_lists: {
+        name: "Markdown Lists",
+        group: "Markdown",
+        input: '- She walked in. "Hello," she said.\n- He *nodded* slowly.\n  - Nested item here\n\u2022 Bullet point',
+        expected: '- *She walked in.* "Hello," *she said.*\n- *He **nodded** slowly.*\n  - *Nested item here*\n\u2022 *Bullet point*'
+    },
+    markdown_asterisk_bullets: {
+        name: "Markdown Asterisk Bullets",
+        group: "Markdown",
+        input: '* Bullet item\n* She *smiled* softly',
+        expected: '* *Bullet item*\n* *She **smiled** softly*'
+    },
+    markdown_headings: {
+        name: "Markdown Headings",
+        group: "Markdown",
+        input: '# Chapter One\n\nShe woke up.\n\n### The *Long* Road',
+        expected: '# *Chapter One*\n\n*She woke up.*\n\n### *The **Long** Road*'
+    },
+    markdown_blockquotes: {
+        name: "Markdown Blockquotes",
+        group: "Markdown",
+        input: '> She whispered "run" and left.\n>\n> > Deeper quote',
+        expected: '> *She whispered* "run" *and left.*\n>\n> > *Deeper quote*'
+    },
+    markdown_rules: {
+        name: "Markdown Horizontal Rules",
+        group: "Markdown",
+        input: 'She sat.\n---\nHe stood.\n* * *\nThey left.',
+        expected: '*She sat.*\n---\n*He stood.*\n* * *\n*They left.*'
+    },
+    markdown_tables: {
+        name: "Markdown Tables",
+        group: "Markdown",
+        input: '| Name | Mood |\n|------|------|\n| Ann | *happy* |\n| Bo | "Hi," he said |\n\nThey talked.',
+        expected: '| *Name* | *Mood* |\n|------|------|\n| *Ann* | *happy* |\n| *Bo* | "Hi," *he said* |\n\n*They talked.*'
+    },
+    option_markers: {
+        name: "Multi-character Option Markers",
+        group: "Markdown",
+        input: 'Choose your path:\n10. Open the door\n11) Run away\niv. Fight\nVIII. Hide',
+        expected: '*Choose your path:*\n10. Open the door\n11) Run away\niv. Fight\nVIII. Hide'
+    },
+    locale_en_quotes: {
+        name: "English: Foreign Quote Marks",
+        group: "Languages",
+        input: '„Hello“ she said. «Hi» he said.',
+        expected: '"Hello" *she said.* "Hi" *he said.*'
+    },
+    locale_fr: {
+        name: "French: Guillemets and Spacing",
+        group: "Languages",
+        input: '« Bonjour ! » dit-elle en *souriant*. Il répondit : «Salut»',
+        expected: '« Bonjour ! » *dit-elle en **souriant**. Il répondit :* « Salut »',
+        settings: { locale: 'fr' }
+    },
+    locale_de: {
+        name: "German: Low-High Quotes",
+        group: "Languages",
+        input: '„Wirklich?” fragte er. »Ja« sagte sie *leise* zu ihm.',
+        expected: '„Wirklich?“ *fragte er.* »Ja« *sagte sie **leise** zu ihm.*',
+        settings: { locale: 'de' }
+    },
+    locale_de_english_quotes: {
+        name: "German: English-Style Quotes",
+        group: "Languages",
+        input: '“Really?” he asked. „Ja“ sagte sie.',
+        expected: '"Really?" *he asked.* „Ja“ *sagte sie.*',
+        settings: { locale: 'de' }
+    },
+    locale_ja: {
+        name: "Japanese: Corner Brackets",
+        group: "Languages",
+        input: '「こんにちは」と彼女は言った。彼は*静かに*頷いた。',
+        expected: '「こんにちは」*と彼女は言った。彼は**静かに**頷いた。*',
+        settings: { locale: 'ja' }
+    },
+    reasoning_tags: {
+        name: "Reasoning: Thinking Tags",
+        group: "Reasoning",
+        input: '<thinking>\nShe *should* answer.\n</thinking>\nShe smiled. "Hi."',
+        expected: '<thinking>\nShe *should* answer.\n</thinking>\n*She smiled.* "Hi."'
+    },
+    reasoning_custom: {
+        name: "Reasoning: Custom Delimiters",
+        group: "Reasoning",
+        input: '◁think▷She is *tired*.◁/think▷She yawned.',
+        expected: '◁think▷She is *tired*.◁/think▷*She yawned.*',
+        settings: { reasoningDelimiters: [{ open: '◁think▷', close: '◁/think▷' }] }
+    },
+    reasoning_format: {
+        name: "Reasoning: Formatted Separately",
+        group: "Reasoning",
+        input: '<think>\nThe user wants *help*. I should agree.\n</think>\nShe nodded. "Sure."',
+        expected: '<think>\n*The user wants **help**. I should agree.*\n</think>\n*She nodded.* "Sure."',
+        settings: { reasoningMode: 'format' }
+    },
+    region_tag: {
+        name: "Protected Regions: Custom Tags",
+        group: "Protected Regions",
+        input: 'She said <font color="red">hello there</font> softly.\n<status>Mood: *calm*</status>',
+        expected: '*She said <font color="red">hello there</font> softly.*\n<status>Mood: *calm*</status>',
+        settings: {
+            protectedRegions: [
+                { kind: 'tag', open: 'status', mode: 'protect', unclosed: 'rest' },
+                { kind: 'tag', open: 'font', mode: 'narration', unclosed: 'ignore' },
+            ]
+        }
+    },
+    region_unclosed_line: {
+        name: "Protected Regions: Unclosed Bracket Ends at the Line",
+        group: "Protected Regions",
+        input: 'She smiled. [OOC: note\nHe left.',
+        expected: '*She smiled.* [OOC: note\n*He left.*',
+        settings: { protectedRegions: [{ kind: 'delimiters', open: '[', close: ']', mode: 'protect', unclosed: 'line' }] }
+    },
+    region_regex: {
+        name: "Protected Regions: Stat Block Regex",
+        group: "Protected Regions",
+        input: 'He *winced*.\nHP: 8/10 *hurt*\nMP: 3/10',
+        expected: '*He **winced**.*\nHP: 8/10 *hurt*\nMP: 3/10',
+        settings: { protectedRegions: [{ kind: 'regex', open: '^(?:HP|MP): .*$', mode: 'protect' }] }
+    },
+    region_format: {
+        name: "Protected Regions: Formatted Separately",
+        group: "Protected Regions",
+        input: 'She waved. ((OOC: *brb* "soon"))',
+        expected: '*She waved.* ((*OOC: **brb*** "soon"))',
+        settings: { protectedRegions: [{ kind: 'delimiters', open: '((', close: '))', mode: 'format', unclosed: 'rest' }] }
+    },
+    lint_findings: {
+        name: "Lint: Quotes, Bold and Spacing",
+        group: "Lint",
+        input: '"Wait *here." He **left  now.',
+        expected: '"Wait here." *He left now.*',
+        lint: ['asterisk-in-quote', 'plain-narration', 'unpaired-bold', 'extra-space']
+    },
+    lint_emphasis: {
+        name: "Lint: Nested and Spaced Emphasis",
+        group: "Lint",
+        input: '*The cat was *very* cute.*\n* She waved. *',
+        expected: '*The cat was **very** cute.*\n*She waved.*',
+        lint: ['nested-italics', 'emphasis-spacing']
+    },
+    lint_clean: {
+        name: "Lint: Clean Text",
+        group: "Lint",
+        input: '*She smiled.* "Hi." [OOC: *brb*]\n*He **nodded**.*',
+        expected: '*She smiled.* "Hi." [OOC: *brb*]\n*He **nodded**.*',
+        lint: []
+    },
+    fixed_point: {
+        name: "Format Until Stable",
+        input: 'A *b* c *d *e* f* g',
+        expected: '*A **b** c d **e** f g*',
+        untilStable: true
+    },
+    one_word_narration: {
+        name: "One-Word Narration Until Stable",
+        input: '"Hello," smiling. "Bye."\n"Wait!" Silence.\nNodding. "Yes."\n*Alone.*',
+        expected: '"Hello," *smiling.* "Bye."\n"Wait!" *Silence.*\n*Nodding.* "Yes."\n*Alone.*',
+        untilStable: true
+    },
+    streaming_reply: {
+        name: "Streaming Reply",
+        group: "Streaming",
+        input: 'She walked in. "Hello *there*," she said, *smiling*.\n*He nodded* and looked away. [OOC: note] <think>hmm</think>Done.',
+        expected: '*She walked in.* "Hello **there**," *she said, **smiling**.*\n*He nodded and looked away. [OOC: note] <think>hmm</think>Done.*',
+        streaming: true
+    },
+    streaming_unclosed: {
+        name: "Streaming Reply With Unclosed Blocks",
+        group: "Streaming",
+        input: '*She paused.* "Wait," she said. <think>Should I tell him',
+        expected: '*She paused.* "Wait," *she said.* <think>Should I tell him',
+        streaming: true
+    },
+    custom: {
+        name: "Custom Input",
+        input: "",
+        expected: ""
+    }
+};
+
+// Feeds the input in one character at a time, like a streamed reply, and returns the last output.
+// Internal placeholders must never show up in any of the partial outputs, and the last one
+// must match formatting the whole input at once.
+function runStreaming(processor, input, settings) {
+    let output = '';
+    for (let length = 1; length <= input.length; length++) {
+        output = processor.processStreamingText(input.slice(0, length), settings);
+        if (/__(PROTECTED_BLOCK_PLACEHOLDER|HEIGHT_MEASUREMENT)_/.test(output)) {
+            return `placeholder leaked after ${length} characters: ${output}`;
+        }
+    }
+    const complete = processor.processText(input, settings);
+    return output === complete ? output : `differs from formatting the whole text (${complete}): ${output}`;
+}
+
+/**
+ * Runs one test case.
+ * @param {import('./text-processor.js').TextProcessor} processor Formatter
+ * @param {object} testCase Test case
+ * @param {object} [settings] Formatter settings, the case's own on top of the defaults if omitted
+ * @returns {{passed: boolean, actual: string, expected: string}} Whether the case passed, with the
+ * actual and expected output. A lint mismatch is reported in place of the output.
+ */
+export function runTestCase(processor, testCase, settings = { ...testCase.settings, style: testCase.style ?? 'italic_narration' }) {
+    let actual = testCase.streaming ? runStreaming(processor, testCase.input, settings)
+        : testCase.untilStable ? processor.processUntilStable(testCase.input, settings).text
+            : processor.processText(testCase.input, settings);
+
+    if (testCase.lint && actual === testCase.expected) {
+        const codes = processor.lintText(testCase.input, settings).map(finding => finding.code);
+        if (codes.join() !== testCase.lint.join()) {
+            actual = `lint findings ${JSON.stringify(codes)}, expected ${JSON.stringify(testCase.lint)}`;
+        }
+    }
+    return { passed: actual === testCase.expected, actual, expected: testCase.expected };
+}
@@ -0,0 +1,73 @@
+// Times the formatter on large synthetic messages and checks it scales linearly: `npm run bench`
+import { TextProcessor } from '../text-processor.js';
+
+const SMALL = 10000;
+const LARGE = 100000;
+// Ten times the text should take about ten times as long. A quadratic pass would take a hundred.
+const MAX_RATIO = 20;
+const RUNS = 3;
+
+const SHAPES = {
+    'long paragraph': [
+        'She walked in. "Hello *there*," she said, *smiling*. ',
+        '*He nodded* and looked "away" for a **moment**. ',
+        '"Wait," she said. *The cat was *very* cute.* ',
+    ],
+    'many placeholders': [
+        '<span class="note">aside</span> She paused. ',
+        '"Look," he said, <b>pointing</b> at the [OOC: map] door. ',
+        '<div>"quoted" block</div> `code` *and* more. ',
+    ],
+    'many paragraphs': [
+        'She walked in.\n\n',
+        '"Hello," she said. *smiling*\n',
+        '1. Open the door\n2. Run away\n\n',
+    ],
+};
+
+/**
+ * Builds a message of at least the given length by cycling through the parts
+ * @param {string[]} parts Pieces of text to repeat
+ * @param {number} length Minimum length
+ * @returns {string} The message
+ */
+function buildMessage(parts, length) {
+    let text = '';
+    for (let i = 0; text.length < length; i++) {
+        text += parts[i % parts.length];
+    }
+    return text;
+}
+
+/**
+ * Formats the text a few times and returns the fastest run in milliseconds
+ * @param {TextProcessor} processor The processor
+ * @param {string} text The message
+ * @returns {number} Time of the fastest run
+ */
+function time(processor, text) {
+    let best = Infinity;
+    for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        processor.processText(text);
+        best = Math.min(best, performance.now() - start);
+    }
+    return best;
+}
+
+const processor = new TextProcessor();
+let failed = 0;
+
+for (const [name, parts] of Object.entries(SHAPES)) {
+    const small = time(processor, buildMessage(parts, SMALL));
+    const large = time(processor, buildMessage(parts, LARGE));
+    const ratio = large / Math.max(small, 1);
+    const ok = ratio <= MAX_RATIO;
+    if (!ok) {
+        failed++;
+    }
+    console.log(`${ok ? '✓' : '✗'} ${name}: ${SMALL} chars ${small.toFixed(1)}ms, ${LARGE} chars ${large.toFixed(1)}ms (x${ratio.toFixed(1)})`);
+}
+
+console.log(`\n${failed ? `${failed} shape(s) scaled worse than x${MAX_RATIO}` : 'All shapes scale linearly'}`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,390 @@
+// Runs TEST_CASES against the formatter core without SillyTavern, plus the position maps of
+// processTextWithMap and formatSelection, the pipeline trace and the helpers of the glue: `npm test`
+import { TextProcessor, formatterDefaults } from '../text-processor.js';
+import { TEST_CASES, runTestCase } from '../test-cases.js';
+import {
+    getUnchangedEnds, getChangeSize, combineTestCases, getTestCaseSettings, runTestSuite, parseTestCases,
+    createUserTestCase, extensionName, getSwipeTexts, getFormatData, getSwipesToFormat, applyFormattedText,
+    matchesShortcut, createMessageSettingsResolver, formatPromptMessages,
+    createFormatCache, isDisplayOnlyUsed, getDisplayedText,
+} from '../extension-helpers.js';
+
+const processor = new TextProcessor();
+let passed = 0;
+let failed = 0;
+
+function report(id, name, ok, expected, actual) {
+    if (ok) {
+        passed++;
+        console.log(`✓ ${id}`);
+    } else {
+        failed++;
+        console.log(`✗ ${id} (${name})`);
+        console.log(`    expected: ${JSON.stringify(expected)}`);
+        console.log(`    actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+// Compares as JSON, for checks of structured results
+function check(id, name, actual, expected) {
+    report(id, name, JSON.stringify(actual) === JSON.stringify(expected), expected, actual);
+}
+
+for (const [id, testCase] of Object.entries(TEST_CASES)) {
+    if (!testCase.input) {
+        continue;
+    }
+
+    const result = runTestCase(processor, testCase);
+    report(id, testCase.name, result.passed, result.expected, result.actual);
+}
+
+// The position map of processTextWithMap, for every test case: one entry per output position plus
+// the end, never decreasing, and the end maps to the end of the input
+function checkMap(input, settings) {
+    const { text, map } = processor.processTextWithMap(input, settings);
+    const problems = [];
+    if (text !== processor.processText(input, settings)) problems.push('output differs from processText');
+    if (map.length !== text.length + 1) problems.push(`map has ${map.length} entries for ${text.length} characters`);
+    if (map.some((position, index) => index > 0 && position < map[index - 1])) problems.push('map decreases');
+    if (map.at(-1) !== input.length) problems.push(`end maps to ${map.at(-1)}, not ${input.length}`);
+    return { text, map, problems };
+}
+
+for (const [id, testCase] of Object.entries(TEST_CASES)) {
+    if (!testCase.input || testCase.streaming || testCase.untilStable) {
+        continue;
+    }
+    const { problems } = checkMap(testCase.input, { ...testCase.settings, style: testCase.style ?? 'italic_narration' });
+    report(`map_${id}`, `Position map of ${testCase.name}`, !problems.length, [], problems);
+}
+
+// Parts of the input that come out unchanged, which must map onto themselves character by character
+const MAP_CASES = {
+    map_unchanged: {
+        name: "Formatted text maps onto itself",
+        input: '"Hi," *she said.*',
+        unchanged: ['"Hi," *she said.*'],
+    },
+    map_list_marker: {
+        name: "List markers map onto themselves",
+        input: '- She nodded. "Yes."\n- He left.',
+        unchanged: ['- ', 'She nodded.', '"Yes."', '\n- ', 'He left.'],
+    },
+    map_blockquote_marker: {
+        name: "Blockquote markers map onto themselves",
+        input: '> "Hi," she said.',
+        unchanged: ['> ', '"Hi,"', 'she said.'],
+    },
+    map_heading: {
+        name: "Heading markers map onto themselves",
+        input: '## Chapter One\nShe woke up.',
+        unchanged: ['## ', 'Chapter One', 'She woke up.'],
+    },
+    map_html_block: {
+        name: "Protected HTML maps onto itself",
+        input: '<div class="note">"a" *b*\n c</div>\nShe left.',
+        unchanged: ['<div class="note">"a" *b*\n c</div>', 'She left.'],
+    },
+    map_protected_region: {
+        name: "Protected regions map onto themselves",
+        input: '[OOC: keep *this* as is] He waved.',
+        unchanged: ['[OOC: keep *this* as is]', 'He waved.'],
+    },
+    map_height: {
+        name: "Height measurements map onto themselves",
+        input: 'She is 5\'10" tall. "Hi."',
+        unchanged: ['She is 5\'10" tall.', '"Hi."'],
+    },
+    map_table_cell: {
+        name: "Formatted table cells map onto their text",
+        input: '| Ann | "Hi," she said |',
+        unchanged: ['| ', 'Ann', ' | ', '"Hi,"', 'she said', ' |'],
+    },
+};
+
+for (const [id, testCase] of Object.entries(MAP_CASES)) {
+    const { text, map, problems } = checkMap(testCase.input, testCase.settings);
+    let from = 0;
+    let to = 0;
+    for (const part of testCase.unchanged) {
+        from = testCase.input.indexOf(part, from);
+        to = text.indexOf(part, to);
+        if (to === -1) {
+            problems.push(`${JSON.stringify(part)} is missing from ${JSON.stringify(text)}`);
+            continue;
+        }
+        const mapped = map.slice(to, to + part.length);
+        if (mapped.some((position, k) => position !== from + k)) {
+            problems.push(`${JSON.stringify(part)} at ${from} maps to ${JSON.stringify(mapped)}`);
+        }
+        from += part.length;
+        to += part.length;
+    }
+    report(id, testCase.name, !problems.length, [], problems);
+}
+
+// Selections are written with | at their start and end, a single | for a caret
+const SELECTION_CASES = {
+    selection_caret: {
+        name: "Caret stays before the same word",
+        input: '"Hi," she |said.',
+        expected: '"Hi," *she |said.*',
+    },
+    selection_line: {
+        name: "Only the selected line is formatted, the selection keeps its text",
+        input: 'Line one.\n"H|i,|" she said.\nLine three.',
+        expected: 'Line one.\n"H|i,|" *she said.*\nLine three.',
+    },
+    selection_paste: {
+        name: "Pasted text is formatted with its line, keeping its spaces and the quote around it",
+        input: 'First line.\n"Hello,| and then the| world," she said. \n',
+        expected: 'First line.\n"Hello,| and then the| world," *she said.* \n',
+    },
+    selection_html_block: {
+        name: "A selection inside protected HTML stays where it is",
+        input: '<div>"a" |b|</div>\n"Hi," she said.',
+        expected: '<div>"a" |b|</div>\n"Hi," she said.',
+    },
+    selection_until_stable: {
+        name: "Passes until stable map the selection through every pass",
+        input: '"Hi," |she said|.',
+        expected: '"Hi," |*she said|.*',
+        settings: { untilStable: true },
+    },
+};
+
+function parseSelection(marked) {
+    const [before, selected = '', after] = marked.split('|');
+    const text = before + selected + (after ?? '');
+    const end = before.length + selected.length;
+    return { text, start: before.length, end: after === undefined ? before.length : end };
+}
+
+function markSelection(text, start, end) {
+    return start === end
+        ? `${text.slice(0, start)}|${text.slice(start)}`
+        : `${text.slice(0, start)}|${text.slice(start, end)}|${text.slice(end)}`;
+}
+
+for (const [id, testCase] of Object.entries(SELECTION_CASES)) {
+    const { text, start, end } = parseSelection(testCase.input);
+    const result = processor.formatSelection(text, start, end, testCase.settings);
+    const output = text.slice(0, result.start) + result.replacement + text.slice(result.end);
+    const actual = markSelection(output, result.selectionStart, result.selectionEnd);
+    report(id, testCase.name, actual === testCase.expected, testCase.expected, actual);
+}
+
+// Pipeline trace
+{
+    const trace = processor.traceText('<b>x</b> "Hi," she said.', {});
+    const [pass] = trace.passes;
+    check('trace_steps', "The trace has a step for every stage, the last holding the output",
+        [trace.passes.length, pass.steps.length, pass.steps.at(-1).text, trace.output],
+        [1, 19, '<b>x</b> "Hi," *she said.*', processor.processText('<b>x</b> "Hi," she said.')]);
+    check('trace_placeholders', "The extract step lists its placeholders, later steps show them",
+        [pass.steps[1].placeholders, pass.steps[2].text],
+        [{ __PROTECTED_BLOCK_PLACEHOLDER_0__: '<b>x</b>' }, '__PROTECTED_BLOCK_PLACEHOLDER_0__ "Hi," she said.']);
+
+    const stable = processor.traceText('A *b* c *d *e* f* g', {}, { untilStable: true });
+    check('trace_until_stable', "Traced passes until stable chain each output into the next input",
+        stable.passes.map(({ input, output }) => [input, output]),
+        [['A *b* c *d *e* f* g', '*A **b** c d **e** f g*'], ['*A **b** c d **e** f g*', '*A **b** c d **e** f g*']]);
+    check('trace_debug_log', "The trace is kept in debugLog", processor.debugLog === stable.passes, true);
+    check('trace_disabled', "With formatting off the trace says so",
+        processor.traceText('"Hi"', { enabled: false }).passes[0].steps.map(step => step.stage), ['disabled']);
+    check('trace_highlight', "The highlighted change is the middle part between the unchanged ends",
+        [getUnchangedEnds('She said hi.', '*She said hi.*'), getChangeSize('a "b" c', 'a "b," c'), getChangeSize('same', 'same')],
+        [{ prefix: 0, suffix: 0 }, { removed: 0, added: 1 }, { removed: 0, added: 0 }]);
+}
+
+// Test suite with the user's own cases
+{
+    const imported = parseTestCases({
+        mine: { name: "Mine", input: 'she said', expected: 'she said', style: 'novel', untilStable: 1, extra: true },
+        user_1: { name: "Kept", input: 'a', expected: 'b', lint: [], settings: { uncensor: false } },
+    });
+    check('suite_import', "Imported cases get the user_ prefix and only their known fields", imported, {
+        user_mine: { name: "Mine", input: 'she said', expected: 'she said', style: 'novel', untilStable: true },
+        user_1: { name: "Kept", input: 'a', expected: 'b', settings: { uncensor: false }, lint: [] },
+    });
+    const rejects = data => {
+        try {
+            parseTestCases(data);
+            return false;
+        } catch {
+            return true;
+        }
+    };
+    check('suite_import_invalid', "Imports without a name, input and expected output are rejected",
+        [rejects([]), rejects(null), rejects({ a: { name: "A", input: 'x' } })], [true, true, true]);
+
+    const cases = combineTestCases(imported);
+    check('suite_combined', "User cases follow the built-in ones, under their own group",
+        [Object.keys(cases).slice(-2), cases.user_mine.group, Object.keys(cases)[0]], [['user_mine', 'user_1'], "Your Cases", 'basic']);
+    check('suite_settings', "Cases run on the formatter defaults with their own options on top",
+        [getTestCaseSettings({ settings: { uncensor: false, enabled: false } }), getTestCaseSettings({ style: 'novel', untilStable: true })]
+            .map(({ uncensor, enabled, style, untilStable }) => ({ uncensor, enabled, style, untilStable })),
+        [{ uncensor: false, enabled: true, style: 'italic_narration', untilStable: false }, { uncensor: true, enabled: true, style: 'novel', untilStable: true }]);
+
+    const results = runTestSuite(processor, { ...combineTestCases({}), ...imported });
+    check('suite_run_all', "Run All reports every case with an input, and the failing user case with its output",
+        [results.length, results.filter(result => !result.passed).map(({ id, actual }) => [id, actual])],
+        [Object.values(TEST_CASES).filter(testCase => testCase.input).length + 2, [['user_1', '*a*']]]);
+}
+
+// Saved test cases keep the settings they were made with
+{
+    const settings = {
+        ...formatterDefaults,
+        enabled: false,
+        style: 'novel',
+        untilStable: true,
+        uncensorRules: [{ pattern: 'h_+ck', replacement: 'heck' }],
+        pipeline: [{ id: 'cleanupExcessSpaces', enabled: false }],
+    };
+    const input = 'What  the h_ck. "Yes."';
+    const expected = processor.processUntilStable(input, { ...settings, enabled: true }).text;
+    const testCase = createUserTestCase("Saved", input, expected, settings);
+    check('saved_case_fields', "A saved case stores the style, until-stable and every other option, but not the switch",
+        [testCase.style, testCase.untilStable, 'enabled' in testCase.settings, 'style' in testCase.settings,
+            Object.keys(testCase.settings).length],
+        ['novel', true, false, false, Object.keys(formatterDefaults).length - 2]);
+
+    settings.uncensorRules[0].replacement = 'hack';
+    settings.pipeline = [];
+    settings.style = 'italic_narration';
+    const [result] = runTestSuite(processor, { user_saved: testCase });
+    check('saved_case_reproduces', "A saved case gives the same output after the settings change",
+        [result.passed, result.actual], [true, expected]);
+}
+
+// Formatting chat messages and their swipes
+{
+    const message = {
+        mes: 'two',
+        swipe_id: 1,
+        swipes: ['one', 'two', 'three', ''],
+        swipe_info: [{}, {}, { extra: { [extensionName]: { formatted: true } } }, {}],
+    };
+    check('swipes_to_format', "A format pass takes every unformatted swipe, or what the options force",
+        [{}, { onlyCurrent: true }, { force: true }].map(options => getSwipesToFormat(message, options)),
+        [[0, 1], [1], [0, 1, 2]]);
+
+    for (const swipeIndex of getSwipesToFormat(message)) {
+        const text = getSwipeTexts(message)[swipeIndex];
+        applyFormattedText(message, swipeIndex, text, text.toUpperCase(), 2);
+    }
+    check('swipes_formatted', "One pass formats every swipe and marks them formatted, the visible one in the message too",
+        [message.mes, message.swipes, getSwipesToFormat(message), getSwipesToFormat(message, { forceCurrent: true })],
+        ['TWO', ['ONE', 'TWO', 'three', ''], [], [1]]);
+    check('swipes_format_data', "Each swipe keeps its own format data, synced into swipe_info",
+        [getFormatData(message, 0).original, getFormatData(message, 1).original, message.swipe_info[1].extra[extensionName].original],
+        ['one', 'two', 'two']);
+
+    const single = { mes: 'a' };
+    for (const formatted of ['b', 'c', 'd', 'd']) {
+        applyFormattedText(single, 0, single.mes, formatted, 2);
+    }
+    const data = getFormatData(single, 0);
+    check('format_history', "The history keeps the latest texts up to the limit and the first one as the original",
+        [single.mes, data.original, data.history.map(entry => entry.text), data.formatted], ['d', 'a', ['b', 'c'], true]);
+}
+
+// Input box format shortcut
+{
+    const press = (key, code, modifiers = {}) => ({ key, code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers });
+    check('shortcut_match', "Shortcuts need exactly their modifiers, and match letters and digits by physical key",
+        [
+            matchesShortcut(press('F', 'KeyF', { altKey: true, shiftKey: true }), 'Alt+Shift+F'),
+            matchesShortcut(press('Ï', 'KeyF', { altKey: true, shiftKey: true }), 'alt + shift + f'),
+            matchesShortcut(press('¡', 'Digit1', { altKey: true }), 'Alt+1'),
+            matchesShortcut(press('Enter', 'Enter', { ctrlKey: true }), 'Ctrl+Enter'),
+            matchesShortcut(press('F', 'KeyF', { altKey: true }), 'Alt+Shift+F'),
+            matchesShortcut(press('F', 'KeyF', { altKey: true, shiftKey: true, ctrlKey: true }), 'Alt+Shift+F'),
+            matchesShortcut(press('g', 'KeyG', { altKey: true, shiftKey: true }), 'Alt+Shift+F'),
+            matchesShortcut(press('f', 'KeyF'), ''),
+        ],
+        [true, true, true, true, false, false, false, false]);
+}
+
+// Prompt-only formatting
+{
+    const settingsByAvatar = {
+        'ann.png': { formatPrompt: true, formatPromptDepth: 0 },
+        'bob.png': { formatPrompt: true, formatPromptDepth: 2 },
+        '': { formatPrompt: false },
+    };
+    const resolved = [];
+    const getSettingsOf = createMessageSettingsResolver(message => {
+        resolved.push(message.original_avatar);
+        return settingsByAvatar[message.is_user ? '' : message.original_avatar];
+    });
+    const stored = [
+        { mes: 'ann one', original_avatar: 'ann.png' },
+        { mes: 'bob one', original_avatar: 'bob.png' },
+        { mes: 'me', is_user: true, original_avatar: 'ann.png' },
+        { mes: 'note', is_system: true, original_avatar: 'ann.png' },
+        { mes: 'bob two', original_avatar: 'bob.png' },
+        { mes: 'ann two', original_avatar: 'ann.png' },
+    ];
+    const chat = [...stored];
+    const copies = structuredClone(stored);
+    const settingsKeys = new Set();
+    formatPromptMessages(chat, getSettingsOf, (text, settings, settingsKey) => {
+        settingsKeys.add(settingsKey);
+        return text.toUpperCase();
+    });
+
+    check('prompt_depth', "Each author's messages are formatted as deep as their own settings ask, system messages never",
+        chat.map(message => message.mes), ['ANN ONE', 'bob one', 'me', 'note', 'BOB TWO', 'ANN TWO']);
+    check('prompt_copies', "Formatted messages are copies, the stored chat stays as it was",
+        [JSON.stringify(stored) === JSON.stringify(copies), chat[0] !== stored[0], chat[1] === stored[1]], [true, true, true]);
+    check('prompt_settings_once', "Settings are resolved once per author, telling user messages apart, and keyed for the cache",
+        [resolved, [...settingsKeys]], [['ann.png', 'bob.png', 'ann.png'], [settingsByAvatar['ann.png'], settingsByAvatar['bob.png']].map(settings => JSON.stringify(settings))]);
+}
+
+// Display-only formatting and the format cache
+{
+    const runs = [];
+    const formatCachedText = createFormatCache((text, settings) => {
+        runs.push(text);
+        return `${settings.style}: ${text}`;
+    }, 2);
+    const italic = { style: 'italic_narration' };
+    const outputs = [
+        formatCachedText('a', italic),
+        formatCachedText('a', italic),
+        formatCachedText('b', italic),
+        formatCachedText('a', italic),
+        formatCachedText('c', italic),
+        formatCachedText('a', italic),
+        formatCachedText('b', italic),
+        formatCachedText('a', { style: 'novel' }),
+    ];
+    check('format_cache', "The cache reuses results for the same text and settings, dropping the least recently used",
+        [outputs.at(-1), runs], ['novel: a', ['a', 'b', 'c', 'b', 'a']]);
+
+    const settings = { overrides: { models: {}, characters: { 'ann.png': { autoFormat: true } }, groups: {} } };
+    const used = [isDisplayOnlyUsed(settings), isDisplayOnlyUsed(settings, { displayOnly: true })];
+    settings.overrides.characters['ann.png'].displayOnly = true;
+    check('display_only_used', "Display-only mode counts as used when any settings layer turns it on",
+        [...used, isDisplayOnlyUsed(settings)], [false, true, true]);
+
+    const message = { mes: 'stored', extra: { display_text: 'translated' } };
+    const upper = text => text.toUpperCase();
+    check('display_text', "Display-only mode formats the shown text, unless the message is toggled raw",
+        [
+            getDisplayedText(message, { autoFormat: true, displayOnly: true }, false, upper),
+            getDisplayedText(message, { autoFormat: true, displayOnly: true }, true, upper),
+            getDisplayedText({ mes: 'stored' }, { autoFormat: false, displayOnly: true }, false, upper),
+        ],
+        [
+            { displayed: true, formatted: true, text: 'TRANSLATED' },
+            { displayed: true, formatted: false, text: 'translated' },
+            { displayed: false, formatted: false, text: 'stored' },
+        ]);
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,1964 @@
+// Formatter core: the text processing pipeline and its built-in data.
+// Has no SillyTavern dependencies, so it runs in the browser and under Node alike.
+// Settings are passed in by the caller; see index.js for how they are resolved.
+import {
+    parseDocument, serializeDocument, serializeNodes, alignText, pairEmphasis, forEachChildList,
+    splitWhitespace, wrapNodes, removeNode, isWhitespace, hasAsterisks, firstChar, lastChar,
+} from './document-model.js';
+
+// Default uncensor rules. Longer patterns come first to avoid partial matches.
+// variants: replacement words keyed by the suffix the match ends with
+export const DEFAULT_UNCENSOR_RULES = [
+    { pattern: 'p_+nis|p_+is', replacement: 'penis' },
+    { pattern: 'v_+gina|v_+ina', replacement: 'vagina' },
+    { pattern: 'p_+s+y|p_+y', replacement: 'pussy' },
+    { pattern: 'f_+c*k', replacement: 'fuck' },
+    { pattern: 'c_+n*t', replacement: 'cunt' },
+    { pattern: 'a_+s*hole', replacement: 'asshole' },
+    { pattern: 'c_+c*k', replacement: 'cock' },
+    { pattern: 'd_+c*k', replacement: 'dick' },
+    { pattern: 's_+x', replacement: 'sex' },
+    { pattern: 'c_+me', replacement: 'came' },
+    { pattern: 'c_+m', replacement: 'cum' },
+    { pattern: 'n_+p+le|n_+le', replacement: 'nipple' },
+    { pattern: 'p_+s+', replacement: 'piss' },
+    { pattern: 'ur_+ne', replacement: 'urine' },
+    { pattern: 'an_+s', replacement: 'anus' },
+    { pattern: 'an_+l', replacement: 'anal' },
+    { pattern: 'r_+c*tum', replacement: 'rectum' },
+    { pattern: 'f_+g', replacement: 'fag' },
+    { pattern: 't_+t(?:s|ies|y)?', replacement: 'tit', variants: { ies: 'titties', s: 'tits', y: 'titty' } },
+    { pattern: 'n_+k(?:ed|dity)|n_+de', replacement: 'nude', variants: { dity: 'nudity', ed: 'naked' } },
+    { pattern: 't_+(?:s)?icle', replacement: 'testicle' },
+    { pattern: 't_+(?:s)?cle', replacement: 'testicle' },
+    { pattern: 't_+(?:s)?es', replacement: 'testes' },
+    { pattern: 'p_+(?:r)?n', replacement: 'porn' },
+    { pattern: 'sh_+t', replacement: 'shit' },
+    { pattern: 'sl_+t', replacement: 'slut' },
+    { pattern: 'b_+t?ch', replacement: 'bitch' },
+    { pattern: 'b_+n?er', replacement: 'boner' },
+    { pattern: 'p_+b(?:is|ic|es)', replacement: 'pubes', variants: { is: 'pubis', ic: 'pubic' } },
+    { pattern: 's_+d', replacement: 'seed' },
+    { pattern: 's_+men', replacement: 'semen' },
+    { pattern: 'er_+tic', replacement: 'erotic' },
+    { pattern: 'j_+rk(?:ing|ed)', replacement: 'jerked', variants: { ing: 'jerking' } },
+    { pattern: 'h_+rny', replacement: 'horny' },
+    { pattern: 'b_+o*b', replacement: 'boob' },
+    { pattern: 'a_+s*s', replacement: 'ass' },
+    { pattern: 'b_+ll', replacement: 'ball' },
+    { pattern: 'wh_+ore', replacement: 'whore' },
+    { pattern: 'w_+ore', replacement: 'whore' },
+    { pattern: 'h_+le', replacement: 'hole' },
+].map(rule => ({ ...rule, enabled: true }));
+
+// Default reasoning delimiters. Reasoning blocks are extracted before anything else; an opening
+// without a closing runs to the end of the text, since the reply may still be thinking.
+export const DEFAULT_REASONING_DELIMITERS = [
+    { open: '<think>', close: '</think>' },
+    { open: '<thinking>', close: '</thinking>' },
+    { open: '<reasoning>', close: '</reasoning>' },
+].map(delimiters => ({ ...delimiters, enabled: true }));
+
+// protect - reasoning is left exactly as written
+// format  - reasoning is formatted on its own, as a separate document
+export const REASONING_MODES = ['protect', 'format'];
+
+// Default protected regions, applied in order after reasoning blocks and Message # tags.
+// kind: tag (open is the tag name), delimiters (open and close strings) or regex (open is the
+//   pattern, ^ and $ match at line breaks; its first capture group, if any, is the content)
+// mode: protect - left exactly as written
+//       format  - the content is formatted on its own, separately from the text around it
+//       narration - only the delimiters are protected, the content is formatted with the text around it
+// unclosed: an opening without a closing protects the rest of the text (rest), the rest of
+//   its line (line), or isn't a region at all (ignore)
+export const DEFAULT_PROTECTED_REGIONS = [
+    { kind: 'delimiters', open: '[', close: ']', mode: 'protect', unclosed: 'rest' },
+].map(region => ({ ...region, enabled: true }));
+
+export const PROTECTED_REGION_KINDS = ['tag', 'delimiters', 'regex'];
+export const PROTECTED_REGION_MODES = ['protect', 'format', 'narration'];
+export const PROTECTED_REGION_UNCLOSED = ['rest', 'line', 'ignore'];
+
+// Defaults for the options the formatter itself reads
+export const formatterDefaults = {
+    enabled: true,
+    processQuotes: false,
+    style: 'italic_narration',
+    locale: 'en',
+    uncensor: true,
+    uncensorRules: DEFAULT_UNCENSOR_RULES,
+    protectedRegions: DEFAULT_PROTECTED_REGIONS,
+    reasoningDelimiters: DEFAULT_REASONING_DELIMITERS,
+    reasoningMode: 'protect',
+    // Saved stage order and switches, empty for the default. See resolvePipeline.
+    pipeline: [],
+    // Most passes processUntilStable runs before giving up
+    maxPasses: 5,
+};
+
+// Output styles
+// narration: how narrative text outside quotes is written
+//   italic - wrapped in *...*, the original behaviour
+//   plain  - left unwrapped, asterisks around whole narration sections are removed
+//   action - unwrapped, except short sections already marked as actions (*smiles*)
+// emphasis: how single-word emphasis is written (bold inside italic narration, otherwise italic)
+// unwrapDialogue: always remove asterisks wrapping quotes, regardless of the Process Quotes setting
+export const OUTPUT_STYLES = {
+    italic_narration: {
+        name: "Italic Narration",
+        description: "Narration in *italics*, dialogue in plain quotes, emphasis inside narration in **bold**.",
+        narration: 'italic',
+        emphasis: 'bold',
+        unwrapDialogue: false,
+    },
+    novel: {
+        name: "Novel",
+        description: "Plain narration and dialogue, *italics* only for emphasis.",
+        narration: 'plain',
+        emphasis: 'italic',
+        unwrapDialogue: true,
+    },
+    asterisk_action: {
+        name: "Asterisk Actions",
+        description: "Plain narration and dialogue, asterisks only around short actions like *smiles*.",
+        narration: 'action',
+        emphasis: 'italic',
+        unwrapDialogue: true,
+        maxActionWords: 6,
+    },
+};
+
+// Quotation and punctuation conventions per language
+// delimiters: dialogue quote pairs as [opening, closing]
+// normalize: characters converted to each target character before formatting. Anything else is kept.
+// normalizePairs: quote pairs converted together before that, as [opening, closing variants, [opening, closing]],
+//   for marks whose meaning depends on the quote they close
+// spacedQuotes: quote pairs written with a space inside, like « this »
+// noSpaceBefore: punctuation marks whose preceding space is removed
+// spaceAroundQuotes: separate quotes from the narration around them with a space
+const DOUBLE_QUOTE_VARIANTS = '\u201C\u201D\u201E\u201F\u02BA\u02EE\u275D\u275E\u301D\u301E\uFF02';
+export const LOCALE_PROFILES = {
+    en: {
+        name: "English",
+        delimiters: [['"', '"']],
+        normalize: { '"': `\u00AB\u00BB${DOUBLE_QUOTE_VARIANTS}` },
+        spacedQuotes: [],
+        noSpaceBefore: '.,!?;:\u2014',
+        spaceAroundQuotes: true,
+    },
+    fr: {
+        name: "French",
+        delimiters: [['\u00AB', '\u00BB'], ['"', '"']],
+        normalize: { '"': DOUBLE_QUOTE_VARIANTS },
+        spacedQuotes: [['\u00AB', '\u00BB']],
+        // French puts a space before ; : ! ? and inside guillemets
+        noSpaceBefore: '.,',
+        spaceAroundQuotes: true,
+    },
+    de: {
+        name: "German",
+        delimiters: [['\u201E', '\u201C'], ['\u00BB', '\u00AB'], ['"', '"']],
+        // „…” is a common misspelling of „…“, while “…” is English-style dialogue, not a German closing mark
+        normalizePairs: [['\u201E', '\u201C\u201D\u201F', ['\u201E', '\u201C']], ['\u201C', '\u201D', ['"', '"']]],
+        normalize: { '"': '\u201D\u201F\u02BA\u02EE\u275D\u275E\u301D\u301E\uFF02' },
+        spacedQuotes: [],
+        noSpaceBefore: '.,!?;:\u2014',
+        spaceAroundQuotes: true,
+    },
+    ja: {
+        name: "Japanese",
+        delimiters: [['\u300C', '\u300D'], ['\u300E', '\u300F'], ['"', '"']],
+        normalize: { '"': `\u00AB\u00BB${DOUBLE_QUOTE_VARIANTS}` },
+        spacedQuotes: [],
+        noSpaceBefore: '.,!?;:\u2014\u3001\u3002',
+        // Japanese doesn't separate words, or quotes from narration, with spaces
+        spaceAroundQuotes: false,
+    },
+};
+
+const quotePatternCache = new WeakMap();
+
+/**
+ * Builds the patterns for a locale's dialogue delimiters, cached per profile.
+ * @param {object} locale Locale profile
+ * @returns {{open: string, close: string, inner: string, closing: Map<string, string>, chars: Set<string>}}
+ * Character classes for opening and closing delimiters and for quote content, the closing
+ * delimiter for each opening one, and every delimiter character
+ */
+function getQuotePatterns(locale) {
+    let patterns = quotePatternCache.get(locale);
+    if (!patterns) {
+        const escape = chars => chars.replace(/[\]\\^-]/g, '\\$&');
+        const openers = locale.delimiters.map(([open]) => open).join('');
+        const closers = locale.delimiters.map(([, close]) => close).join('');
+        patterns = {
+            open: `[${escape(openers)}]`,
+            close: `[${escape(closers)}]`,
+            inner: `[^${escape(openers + closers)}]`,
+            closing: new Map(locale.delimiters),
+            chars: new Set(openers + closers),
+        };
+        quotePatternCache.set(locale, patterns);
+    }
+    return patterns;
+}
+
+// Lint rules reported by TextProcessor.lintText, by code
+export const LINT_RULES = {
+    'wrapped-quote': "Quote wrapped in asterisks",
+    'asterisk-in-quote': "Lone asterisk inside a quote",
+    'unpaired-bold': "Unpaired bold marker",
+    'unpaired-italic': "Unpaired italic marker",
+    'nested-italics': "Italics inside italics",
+    'emphasis-spacing': "Space just inside emphasis markers",
+    'quote-spacing': "Space just inside a quote",
+    'unclosed-quote': "Quote not closed on its line",
+    'plain-narration': "Narration not italicized",
+    'extra-space': "Repeated spaces",
+    'space-before-punctuation': "Space before punctuation",
+    'other': "The formatter would change this text",
+};
+
+// A contraction split from its word: a pronoun before 's 'd 'm 'll 've 're, or n before 't.
+// Not followed by another apostrophe, which would make it a quoted letter like 's'.
+const SPLIT_CONTRACTION_REGEX = /\b(?:(I|you|we|they|he|she|it|that|there|here|who|what|where|how|let) +'(s|d|m|ll|ve|re)|(\w+n) +'(t))\b(?!')/gi;
+
+// Stands in for protected content while linting, so positions stay those of the original text
+const LINT_MASK = '\u0000';
+
+// Processing pipeline
+// Stages run in the order saved in settings.pipeline (default: the order below). Text stages
+// transform state.text; structural stages change the document tree from state.getDocument(),
+// so consecutive ones share a single parse. Placeholder stages also keep their maps in the state.
+// setting: the stage is switched by that option instead of its own toggle
+// after: stages that must run before this one when both are enabled
+// last: no enabled stage may run after this one
+const QUOTE_STAGES = ['processQuotes', 'cleanupConsecutiveQuotes', 'cleanupLoneAsterisks', 'cleanupQuoteSpacing', 'processNarrative'];
+export const PIPELINE_STAGES = [
+    {
+        id: 'uncensorText',
+        name: "Uncensor",
+        description: "Replaces censored words such as f__k using the uncensor rules. Placed before Extract Protected Blocks, it also applies to protected content.",
+        setting: 'uncensor',
+        run: (processor, state, settings) => {
+            if (settings.uncensor) {
+                state.text = processor.uncensorText(state.text, settings.uncensorRules);
+            }
+        },
+    },
+    {
+        id: 'extractProtectedBlocks',
+        name: "Extract Protected Blocks",
+        description: "Swaps reasoning blocks (<think> by default), Message # tags, markdown block syntax, the protected regions ([brackets] by default), HTML comments and HTML elements for placeholders so later stages can't touch them.",
+        run: (processor, state, settings) => {
+            const { text, protectedBlocks } = processor.extractProtectedBlocks(state.text, settings.protectedRegions,
+                content => processor.processText(content, settings),
+                { delimiters: settings.reasoningDelimiters, mode: settings.reasoningMode });
+            state.protect('protectedBlocks', text, protectedBlocks);
+        },
+    },
+    {
+        id: 'normalizeSmartCharacters',
+        name: "Normalize Smart Characters",
+        description: "Converts curly quotes, dashes, ellipses and special spaces to plain ASCII. Quote marks the locale uses for dialogue are kept.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state, settings, style, locale) => { state.text = processor.normalizeSmartCharacters(state.text, locale); },
+    },
+    {
+        id: 'protectHeightMeasurements',
+        name: "Protect Height Measurements",
+        description: "Swaps measurements like 5'10\" for placeholders so their \" isn't taken for a quote.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state) => {
+            const { text, heightMeasurements } = processor.protectHeightMeasurements(state.text);
+            state.protect('heightMeasurements', text, heightMeasurements);
+        },
+    },
+    {
+        id: 'processQuotes',
+        name: "Process Quotes",
+        description: "Removes asterisks directly surrounding quotes. Always on for styles that unwrap dialogue.",
+        setting: 'processQuotes',
+        after: ['extractProtectedBlocks', 'normalizeSmartCharacters', 'protectHeightMeasurements'],
+        run: (processor, state, settings, style, locale) => {
+            if (settings.processQuotes || style.unwrapDialogue) {
+                processor.processQuotes(state.getDocument());
+            }
+        },
+    },
+    {
+        id: 'cleanupConsecutiveQuotes',
+        name: "Clean Up Consecutive Quotes",
+        description: "Turns doubled quote marks like \"\"text\"\" into \"text\".",
+        after: ['extractProtectedBlocks', 'normalizeSmartCharacters', 'protectHeightMeasurements'],
+        run: (processor, state) => { processor.cleanupConsecutiveQuotes(state.getDocument()); },
+    },
+    {
+        id: 'processNestedEmphasis',
+        name: "Process Nested Emphasis",
+        description: "Converts single-word italics to bold in styles where italics mark narration.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state, settings, style) => { processor.processNestedEmphasis(state.getDocument(), style); },
+    },
+    {
+        id: 'cleanupQuadrupleAsterisks',
+        name: "Clean Up Quadruple Asterisks",
+        description: "Reduces runs of four or more asterisks to three.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state) => { processor.cleanupQuadrupleAsterisks(state.getDocument()); },
+    },
+    {
+        id: 'cleanupUnpairedDoubleAsterisks',
+        name: "Clean Up Unpaired Bold Markers",
+        description: "Removes ** markers that have no matching pair.",
+        after: ['extractProtectedBlocks', 'processNestedEmphasis'],
+        run: (processor, state) => { processor.cleanupUnpairedDoubleAsterisks(state.getDocument()); },
+    },
+    {
+        id: 'cleanupLoneAsterisks',
+        name: "Clean Up Lone Asterisks",
+        description: "Removes stray asterisks inside quotes.",
+        after: ['extractProtectedBlocks', 'normalizeSmartCharacters', 'protectHeightMeasurements', 'processNestedEmphasis'],
+        run: (processor, state, settings, style) => { processor.cleanupLoneAsterisks(state.getDocument(), style); },
+    },
+    {
+        id: 'cleanupAsteriskSpacing',
+        name: "Clean Up Asterisk Spacing",
+        description: "Removes spaces just inside emphasis markers: * text * becomes *text*.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state) => { processor.cleanupAsteriskSpacing(state.getDocument()); },
+    },
+    {
+        id: 'cleanupQuoteSpacing',
+        name: "Clean Up Quote Spacing",
+        description: "Removes spaces just inside quotes: \" text \" becomes \"text\".",
+        after: ['extractProtectedBlocks', 'normalizeSmartCharacters', 'protectHeightMeasurements'],
+        run: (processor, state, settings, style, locale) => { processor.cleanupQuoteSpacing(state.getDocument(), locale); },
+    },
+    {
+        id: 'processNarrative',
+        name: "Process Narrative",
+        description: "Italicizes narration between quotes, or unwraps it for styles with plain narration.",
+        after: ['extractProtectedBlocks', 'normalizeSmartCharacters', 'protectHeightMeasurements'],
+        run: (processor, state, settings, style, locale) => { processor.processNarrative(state.getDocument(), style, locale); },
+    },
+    {
+        id: 'cleanupExcessNewlines',
+        name: "Clean Up Excess Newlines",
+        description: "Reduces three or more newlines to two.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state) => { state.text = processor.cleanupExcessNewlines(state.text); },
+    },
+    {
+        id: 'cleanupExcessSpaces',
+        name: "Clean Up Excess Spaces",
+        description: "Collapses repeated spaces and removes spaces before punctuation, except where the locale keeps them.",
+        after: ['extractProtectedBlocks'],
+        run: (processor, state, settings, style, locale) => { state.text = processor.cleanupExcessSpaces(state.text, locale); },
+    },
+    {
+        id: 'mergeNestedEmphasis',
+        name: "Merge Nested Emphasis",
+        description: "Cleans up stray single asterisks inside italic sections. Italic narration only.",
+        after: ['extractProtectedBlocks', 'processNarrative'],
+        run: (processor, state, settings, style) => {
+            if (style.narration === 'italic') {
+                processor.mergeNestedEmphasis(state.getDocument());
+            }
+        },
+    },
+    {
+        id: 'fixSingleWordEmphasisAtLineStart',
+        name: "Fix Bold Words at Line Start",
+        description: "Makes a bold word that starts a line bold-italic. Italic narration only.",
+        after: ['extractProtectedBlocks', 'processNarrative', 'mergeNestedEmphasis'],
+        run: (processor, state, settings, style) => {
+            if (style.narration === 'italic') {
+                processor.fixSingleWordEmphasisAtLineStart(state.getDocument());
+            }
+        },
+    },
+    {
+        id: 'restoreHeightMeasurements',
+        name: "Restore Height Measurements",
+        description: "Puts protected height measurements back.",
+        after: ['protectHeightMeasurements', ...QUOTE_STAGES],
+        run: (processor, state) => {
+            state.restore('heightMeasurements');
+        },
+    },
+    {
+        id: 'restoreProtectedBlocks',
+        name: "Restore Protected Blocks",
+        description: "Puts protected blocks back. Must be the last stage.",
+        after: ['extractProtectedBlocks'],
+        last: true,
+        run: (processor, state) => {
+            state.restore('protectedBlocks');
+        },
+    },
+];
+
+/**
+ * Combines the saved stage order and switches with the stage definitions.
+ * Stages missing from the saved list (e.g. added in an update) are inserted after
+ * the stage that precedes them by default.
+ * @param {{id: string, enabled: boolean}[]} [saved] Saved pipeline, empty for the default
+ * @returns {{id: string, enabled: boolean, stage: object}[]} Every stage in run order
+ */
+export function resolvePipeline(saved = []) {
+    const entries = saved
+        .filter(entry => PIPELINE_STAGES.some(stage => stage.id === entry.id))
+        .map(entry => ({ id: entry.id, enabled: entry.enabled !== false }));
+
+    PIPELINE_STAGES.forEach((stage, index) => {
+        if (entries.some(entry => entry.id === stage.id)) return;
+        const previousId = PIPELINE_STAGES[index - 1]?.id;
+        const position = entries.findIndex(entry => entry.id === previousId) + 1;
+        entries.splice(position, 0, { id: stage.id, enabled: true });
+    });
+
+    return entries.map(entry => ({ ...entry, stage: PIPELINE_STAGES.find(stage => stage.id === entry.id) }));
+}
+
+/**
+ * Lists problems with a pipeline order: stages running before stages they depend on,
+ * stages after one that must be last, and protected content that would never be restored.
+ * @param {{id: string, enabled: boolean, stage: object}[]} pipeline Resolved pipeline
+ * @returns {string[]} Human-readable warnings, empty if the order is valid
+ */
+export function validatePipeline(pipeline) {
+    const warnings = [];
+    const enabled = pipeline.filter(entry => entry.enabled);
+    const position = id => enabled.findIndex(entry => entry.id === id);
+
+    enabled.forEach((entry, index) => {
+        for (const dependency of entry.stage.after ?? []) {
+            const dependencyIndex = position(dependency);
+            if (dependencyIndex > index) {
+                warnings.push(`${entry.stage.name} runs before ${enabled[dependencyIndex].stage.name}.`);
+            }
+        }
+        if (entry.stage.last && index < enabled.length - 1) {
+            const later = enabled.slice(index + 1).map(e => e.stage.name).join(', ');
+            warnings.push(`${entry.stage.name} must be the last stage, but ${later} run after it and can change protected content.`);
+        }
+    });
+
+    for (const [extract, restore] of [['extractProtectedBlocks', 'restoreProtectedBlocks'], ['protectHeightMeasurements', 'restoreHeightMeasurements']]) {
+        if (position(extract) !== -1 && position(restore) === -1) {
+            const name = id => PIPELINE_STAGES.find(stage => stage.id === id).name;
+            warnings.push(`${name(restore)} is disabled while ${name(extract)} is enabled; placeholders are restored at the end of the pipeline instead.`);
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * What the pipeline stages work on: the text, or the document tree of it that structural stages
+ * change, plus the placeholder maps. The text and the tree are converted into each other only when
+ * the next stage needs the other form, so a run of structural stages shares one parse.
+ * With positions on, map holds for every position of the current text its position in the input.
+ */
+class PipelineState {
+    /**
+     * @param {TextProcessor} processor Parses the text
+     * @param {string} text The input text
+     * @param {object} locale Locale profile, for quote marks
+     * @param {boolean} [positions=false] Keep the position map
+     */
+    constructor(processor, text, locale, positions = false) {
+        this.processor = processor;
+        this.locale = locale;
+        this.protectedBlocks = new Map();
+        this.heightMeasurements = new Map();
+        this.input = text;
+        this.map = positions ? Array.from({ length: text.length + 1 }, (_, index) => index) : null;
+        // Span of the input each placeholder stands for, with positions on
+        this.sources = new Map();
+        this.currentText = text;
+        this.document = null;
+        // Position map of the text the document was parsed from
+        this.documentMap = null;
+    }
+
+    get text() {
+        if (this.currentText === null) {
+            const { text, map } = serializeDocument(this.document, { positions: Boolean(this.map) });
+            this.currentText = text;
+            if (this.map) this.map = map.map(position => this.documentMap[position]);
+        }
+        return this.currentText;
+    }
+
+    set text(text) {
+        const current = this.text;
+        if (this.map && text !== current) {
+            this.map = alignText(current, text).map(position => this.map[position]);
+        }
+        this.currentText = text;
+        this.document = null;
+    }
+
+    /**
+     * Sets text in which parts of the current text were swapped for placeholders, and their content.
+     * With positions on, the placeholders map to the start of what they stand for, and the span of
+     * the input they stand for is kept, so restore maps their content back exactly.
+     * @param {'protectedBlocks'|'heightMeasurements'} kind Which placeholders
+     * @param {string} text The text with placeholders
+     * @param {Map<string, string>} content Content of each placeholder
+     */
+    protect(kind, text, content) {
+        const current = this.text;
+        this[kind] = content;
+        if (!this.map) {
+            this.text = text;
+            return;
+        }
+
+        // The text with the placeholders restored is the current text, except for content that was formatted
+        const { text: restored, spans } = this.replacePlaceholders(kind, text);
+        const toCurrent = restored === current ? null : alignText(current, restored);
+        const source = position => this.map[toCurrent ? toCurrent[position] : position];
+        const map = [];
+        let from = 0;
+        for (const span of spans) {
+            while (map.length < span.start) map.push(source(from++));
+            const start = source(span.contentStart);
+            this.sources.set(span.placeholder, { start, end: source(span.contentEnd) });
+            while (map.length < span.end) map.push(start);
+            from = span.contentEnd;
+        }
+        while (map.length <= text.length) map.push(source(from++));
+
+        this.map = map;
+        this.currentText = text;
+        this.document = null;
+    }
+
+    /**
+     * Puts the content of placeholders back. With positions on, content maps onto the span of the
+     * input its placeholder stands for, character by character where it wasn't changed.
+     * @param {'protectedBlocks'|'heightMeasurements'} kind Which placeholders
+     */
+    restore(kind) {
+        const current = this.text;
+        const { text, spans } = this.replacePlaceholders(kind, current);
+        this[kind] = new Map();
+        if (!this.map || text === current) {
+            this.text = text;
+            return;
+        }
+
+        const map = [];
+        let from = 0;
+        for (const span of spans) {
+            while (from < span.start) map.push(this.map[from++]);
+            const content = text.slice(span.contentStart, span.contentEnd);
+            const source = this.sources.get(span.placeholder) ?? { start: this.map[span.start], end: this.map[span.start] };
+            const original = this.input.slice(source.start, source.end);
+            const contentMap = content === original ? null : alignText(original, content);
+            for (let k = 0; k < content.length; k++) map.push(source.start + (contentMap ? contentMap[k] : k));
+            from = span.end;
+        }
+        while (from <= current.length) map.push(this.map[from++]);
+
+        this.map = map;
+        this.currentText = text;
+        this.document = null;
+    }
+
+    /**
+     * Replaces the placeholders of a kind in text with their full content, placeholders in which are replaced in turn.
+     * @param {'protectedBlocks'|'heightMeasurements'} kind Which placeholders
+     * @param {string} text The text
+     * @returns {{text: string, spans: {placeholder: string, start: number, end: number, contentStart: number, contentEnd: number}[]}}
+     * The text, and where each replaced placeholder was and where its content is now
+     */
+    replacePlaceholders(kind, text) {
+        const content = this[kind];
+        const pattern = kind === 'protectedBlocks'
+            ? new RegExp(this.processor.placeholderRegex.source, 'g')
+            : /__HEIGHT_MEASUREMENT_\d+__/g;
+        const expand = placeholder => kind === 'protectedBlocks'
+            ? this.processor.restoreProtectedBlocks(placeholder, content)
+            : content.get(placeholder);
+        const parts = [];
+        const spans = [];
+        let length = 0;
+        let last = 0;
+        for (const { 0: placeholder, index } of text.matchAll(pattern)) {
+            if (!content.has(placeholder)) continue;
+            const value = expand(placeholder);
+            length += index - last;
+            parts.push(text.slice(last, index), value);
+            spans.push({ placeholder, start: index, end: index + placeholder.length, contentStart: length, contentEnd: length + value.length });
+            length += value.length;
+            last = index + placeholder.length;
+        }
+        parts.push(text.slice(last));
+        return { text: parts.join(''), spans };
+    }
+
+    /**
+     * The document tree of the current text, for a stage to change in place.
+     * @returns {object} The document node
+     */
+    getDocument() {
+        if (!this.document) {
+            this.document = this.processor.parseDocument(this.text, this.locale, this.protectedBlocks);
+            this.documentMap = this.map;
+        }
+        this.currentText = null;
+        return this.document;
+    }
+}
+
+export class TextProcessor {
+    constructor() {
+        // Passes recorded by the last traceText call
+        this.debugLog = [];
+        this.protectedBlockPlaceholderPrefix = "__PROTECTED_BLOCK_PLACEHOLDER_"; // Generic prefix
+        this.protectedBlockPlaceholderSuffix = "__";
+        this.uncensorPatternCache = new Map();
+        this.regionPatternCache = new Map();
+        // Any protected block placeholder; sticky, for matching at a given position
+        this.placeholderRegex = new RegExp(`${this.protectedBlockPlaceholderPrefix}\\d+${this.protectedBlockPlaceholderSuffix}`, 'y');
+        // Whole markdown lines: horizontal rules and empty blockquote lines
+        this.markdownBlockLineRegex = /^[ \t]{0,3}(?:([-*_])(?:[ \t]*\1){2,}[ \t]*|(?:>[ \t]*)+)$/gm;
+        // Headings, captured as the opening #s, the heading text and optional closing #s
+        this.markdownHeadingRegex = /^([ \t]{0,3}#{1,6}[ \t]+)(\S.*?)([ \t]+#+[ \t]*)?$/gm;
+        // Table rows, including the delimiter row
+        this.markdownTableRowRegex = /^[ \t]*\|.*\|[ \t]*$/gm;
+        // Blockquote and bullet list markers, captured as marker, bullet and the rest of the line
+        this.markdownBlockMarkerRegex = /^([ \t]*(?:>[ \t]?)*([-+*\u2022\u2219\u25E6][ \t]+)?)(\S.*)$/gm;
+        // The same markers, for finding where the text of a line starts
+        this.lineMarkerRegex = /^[ \t]*(?:>[ \t]?)*(?:[-+*\u2022\u2219\u25E6][ \t]+)?/;
+        // Option markers at the start of a line: 1. 10) A> iv.
+        this.optionMarkerRegex = /^(?:[a-zA-Z0-9][.>)]|(?:\d{2,3}|i{2,3}|iv|vi{0,3}|ix|x|I{2,3}|IV|VI{0,3}|IX|X)[.>)](?=\s))/;
+    }
+
+    /**
+     * Extracts protected blocks (reasoning, Message # tags) and replaces them with unique placeholders.
+     * Handles both closed reasoning blocks (<think>...</think>) and unclosed ones (<think>...EOF).
+     * Handles Message Number tags at the start of lines.
+     * Handles markdown rules (whole lines), heading, list and blockquote markers, and table rows,
+     * whose cells are formatted on their own.
+     * Handles the configured protected regions, see DEFAULT_PROTECTED_REGIONS.
+     * @param {string} text The input text.
+     * @param {object[]} [regions] Protected region rules
+     * @param {function(string): string} [format] Formats the content of regions in format mode, and of reasoning
+     * @param {{delimiters?: object[], mode?: string}} [reasoning] Reasoning delimiters and mode, see DEFAULT_REASONING_DELIMITERS
+     * @returns {{text: string, protectedBlocks: Map<string, string>}} Object with text containing placeholders and a map of placeholders to original content.
+     */
+    extractProtectedBlocks(text, regions = DEFAULT_PROTECTED_REGIONS, format = content => this.processText(content), reasoning = {}) {
+        const protectedBlocks = new Map();
+        let processedText = text;
+        let index = 0;
+        const generatePlaceholder = () => `${this.protectedBlockPlaceholderPrefix}${index++}${this.protectedBlockPlaceholderSuffix}`;
+        const protect = (content) => {
+            const placeholder = generatePlaceholder();
+            protectedBlocks.set(placeholder, content);
+            return placeholder;
+        };
+
+        // 1-2. Extract reasoning blocks, closed ones first, then an unclosed one running to the end of the text.
+        // Formatted reasoning keeps the line breaks around it, processText would trim them.
+        const { delimiters = DEFAULT_REASONING_DELIMITERS, mode = 'protect' } = reasoning;
+        const formatReasoning = content => content.replace(/^(\s*)([\s\S]*?)(\s*)$/,
+            (match, leading, body, trailing) => leading + (body ? format(body) : '') + trailing);
+        for (const { open, close } of delimiters.filter(entry => entry.enabled !== false)) {
+            processedText = this.extractRegion(processedText, { kind: 'delimiters', open, close, mode, unclosed: 'rest' }, protect, formatReasoning);
+        }
+
+        // 3. Extract "Message #X: " tags at the start of lines
+        // [^*\n]*? instead of .*? so leading asterisks added by prior formatting
+        // passes are NOT consumed into the placeholder, which would cause each
+        // subsequent pass to prepend another asterisk.
+        const messageNumRegex = /^([^*\n]*? Message #\d+: )/gm; // Use multiline flag
+        processedText = processedText.replace(messageNumRegex, (match, group1) => {
+            // group1 contains the matched tag, e.g., "User Message #1: "
+            const placeholder = generatePlaceholder();
+            protectedBlocks.set(placeholder, group1); // Store the matched tag
+            return placeholder; // Replace the tag with the placeholder
+        });
+
+        // 3b. Extract markdown block syntax. Horizontal rules are kept whole; heading, list and
+        // blockquote markers only, so the prose after them is still formatted. Leading
+        // indentation is part of the marker. Table cells are formatted one by one, since
+        // narration must not run across the pipes, and the row is protected as a whole.
+        processedText = processedText.replace(this.markdownBlockLineRegex, (match) => {
+            const placeholder = generatePlaceholder();
+            protectedBlocks.set(placeholder, match);
+            return placeholder;
+        });
+        processedText = processedText.replace(this.markdownHeadingRegex, (match, marker, heading, closing = '') =>
+            protect(marker) + heading + (closing && protect(closing)));
+        processedText = processedText.replace(this.markdownTableRowRegex, (match) => protect(match
+            .split(/(?<!\\)\|/)
+            .map((cell, index, cells) => index === 0 || index === cells.length - 1 || /^[\s:-]*$/.test(cell)
+                ? cell
+                : cell.replace(/^(\s*)([\s\S]*?)(\s*)$/, (match, leading, body, trailing) => leading + format(this.restoreProtectedBlocks(body, protectedBlocks)) + trailing))
+            .join('|')));
+        processedText = processedText.replace(this.markdownBlockMarkerRegex, (match, marker, bullet, rest) => {
+            // "* text" is only a bullet if the rest of the line has paired asterisks,
+            // otherwise it's more likely a badly spaced emphasis marker
+            if (!marker.trim() || (bullet?.startsWith('*') && (rest.match(/\*/g) ?? []).length % 2 !== 0)) {
+                return match;
+            }
+            const placeholder = generatePlaceholder();
+            protectedBlocks.set(placeholder, marker);
+            return placeholder + rest;
+        });
+
+        // 4-5. Extract the configured protected regions ([...] by default)
+        // Content may hold placeholders from the steps above; formatting runs on the original text
+        const formatContent = content => format(this.restoreProtectedBlocks(content, protectedBlocks));
+        for (const region of regions.filter(region => region.enabled !== false)) {
+            processedText = this.extractRegion(processedText, region, protect, formatContent);
+        }
+
+        // 6. Extract HTML comments <!-- ... --> before anything else so their
+        // content (which may contain tag-like syntax) is never processed.
+        processedText = processedText.replace(/<!--[\s\S]*?-->/g, (match) => {
+            const placeholder = generatePlaceholder();
+            protectedBlocks.set(placeholder, match);
+            return placeholder;
+        });
+
+        // 7. Extract paired HTML elements with their full content.
+        // Each iteration replaces INNERMOST pairs only, then repeats until no
+        // matches remain, so outer wrappers are matched in subsequent passes.
+        //
+        // Key: the content regex (?:(?!<TAG\b)[\s\S])*? uses a negative lookahead
+        // to forbid another opening of the SAME tag inside the content. This
+        // guarantees we only ever match a truly innermost pair each pass, which
+        // prevents the non-greedy engine from pairing an outer opening tag with
+        // an inner closing tag and leaving the outer closing tag as an orphan.
+        //
+        // Processes <style>/<script> first since their content may contain
+        // characters like * and " that would corrupt later formatting stages.
+        const pairedHtmlTags = [
+            'style', 'script',                              // content-heavy, process first
+            'details', 'summary', 'dialog',
+            'div', 'span', 'section', 'article', 'aside',
+            'header', 'footer', 'main', 'nav',
+            'figure', 'figcaption',
+            'p', 'blockquote', 'pre', 'code',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table',
+            'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+            'form', 'fieldset', 'legend', 'label',
+            'a', 'abbr', 'address', 'b', 'bdi', 'bdo',
+            'cite', 'data', 'dfn', 'em', 'i', 'kbd',
+            'mark', 'q', 'rp', 'rt', 'ruby', 's',
+            'samp', 'small', 'strong', 'sub', 'sup',
+            'time', 'u', 'var', 'wbr',
+            'button', 'datalist', 'input', 'meter',
+            'optgroup', 'option', 'output', 'progress',
+            'select', 'textarea',
+            'audio', 'canvas', 'iframe', 'img',
+            'object', 'picture', 'portal', 'source',
+            'svg', 'video',
+        ];
+
+        for (const tag of pairedHtmlTags) {
+            // Negative lookahead (?!<tag\b) in the content part ensures we never
+            // consume another opening of the same tag, so only truly innermost
+            // pairs are matched. The do-while loop then propagates outward.
+            const tagRegex = new RegExp(
+                `<${tag}(\\s[^>]*)?>(?:(?!<${tag}\\b)[\\s\\S])*?<\\/${tag}>`, 'gi'
+            );
+            let previous;
+            do {
+                previous = processedText;
+                processedText = processedText.replace(tagRegex, (match) => {
+                    const placeholder = generatePlaceholder();
+                    protectedBlocks.set(placeholder, match);
+                    return placeholder;
+                });
+            } while (processedText !== previous);
+        }
+
+        // 7. Extract self-closing / void HTML tags.
+        // These either use explicit XML-style self-closing syntax (<br />) or are
+        // HTML void elements that never have a closing tag (<br>, <img src="...">).
+        // Also catches any tag written with a trailing slash that isn't in the paired list.
+        const selfClosingHtmlRegex = /<(?:area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)(\s[^>]*)?\/?>|<[a-zA-Z][a-zA-Z0-9]*(\s[^>]*)?\s*\/>/gi;
+        processedText = processedText.replace(selfClosingHtmlRegex, (match) => {
+            const placeholder = generatePlaceholder();
+            protectedBlocks.set(placeholder, match);
+            return placeholder;
+        });
+
+        return { text: processedText, protectedBlocks };
+    }
+
+    /**
+     * Replaces the matches of one protected region rule according to its mode.
+     * @param {string} text The input text
+     * @param {{kind: string, open: string, close?: string, mode?: string, unclosed?: string}} region Protected region rule
+     * @param {function(string): string} protect Swaps text for a placeholder
+     * @param {function(string): string} format Formats region content in format mode
+     * @returns {string} The text with the region's matches replaced
+     */
+    extractRegion(text, region, protect, format) {
+        const replace = (opening, content, closing) => {
+            // Without delimiters, formatting the content would find the same region again
+            if (region.mode === 'format' && (opening || closing)) {
+                return protect(opening + format(content) + closing);
+            }
+            if (region.mode === 'narration') {
+                return protect(opening) + content + (closing ? protect(closing) : '');
+            }
+            return protect(opening + content + closing);
+        };
+
+        const patterns = this.compileRegionPatterns(region);
+        if (!patterns) {
+            return text;
+        }
+        if (region.kind === 'regex') {
+            return text.replace(patterns.match, (match, content) => {
+                if (!match) return match;
+                if (typeof content !== 'string') return protect(match);
+                const start = match.indexOf(content);
+                return replace(match.slice(0, start), content, match.slice(start + content.length));
+            });
+        }
+
+        text = text.replace(patterns.closed, (match, opening, content, closing) => replace(opening, content, closing));
+        if (region.unclosed === 'line') {
+            text = text.replace(patterns.unclosedLine, (match, opening, content) => replace(opening, content, ''));
+        } else if (region.unclosed !== 'ignore') {
+            text = text.replace(patterns.unclosedRest, (match, opening, content) => replace(opening, content, ''));
+        }
+        return text;
+    }
+
+    /**
+     * Builds the regular expressions for a protected region rule, caching the result.
+     * @param {{kind: string, open: string, close?: string}} region Protected region rule
+     * @returns {{match?: RegExp, open?: RegExp, closed?: RegExp, unclosedLine?: RegExp, unclosedRest?: RegExp}|null}
+     * The patterns (match for regex rules, the others for tags and delimiters), or null if the
+     * rule is empty or its regex is invalid
+     */
+    compileRegionPatterns({ kind, open, close }) {
+        const key = `${kind}\u0000${open}\u0000${close ?? ''}`;
+        if (this.regionPatternCache.has(key)) {
+            return this.regionPatternCache.get(key);
+        }
+
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let patterns = null;
+        try {
+            if (kind === 'regex' && open) {
+                patterns = { match: new RegExp(open, 'gm') };
+            } else if (open && (kind === 'tag' || close)) {
+                const flags = kind === 'tag' ? 'i' : '';
+                const opening = kind === 'tag' ? `<${escape(open)}(?:\\s[^>]*)?>` : escape(open);
+                const closing = kind === 'tag' ? `<\\/${escape(open)}>` : escape(close);
+                patterns = {
+                    open: new RegExp(opening, flags),
+                    closed: new RegExp(`(${opening})([\\s\\S]*?)(${closing})`, `g${flags}`),
+                    unclosedLine: new RegExp(`(${opening})([^\\n]*)`, `g${flags}`),
+                    unclosedRest: new RegExp(`(${opening})([\\s\\S]*)$`, flags),
+                };
+            }
+        } catch (error) {
+            console.warn(`Format Fixer: invalid protected region "${open}":`, error.message);
+        }
+        this.regionPatternCache.set(key, patterns);
+        return patterns;
+    }
+
+    /**
+     * Finds where an unclosed protected region starts, the way extractRegion would protect it.
+     * @param {string} text The input text
+     * @param {object} region Protected region rule
+     * @returns {number} Index of the unclosed opening, or the text length if there is none
+     */
+    findUnclosedRegion(text, region) {
+        const patterns = this.compileRegionPatterns(region);
+        if (!patterns?.open || region.unclosed === 'ignore') {
+            return text.length;
+        }
+        // Blank out closed regions so only unclosed openings are found
+        const unclosed = patterns.open.exec(text.replace(patterns.closed, match => ' '.repeat(match.length)));
+        if (!unclosed || (region.unclosed === 'line' && text.includes('\n', unclosed.index))) {
+            return text.length;
+        }
+        return unclosed.index;
+    }
+
+    /**
+     * Restores original protected blocks by replacing placeholders.
+     * @param {string} text The text containing placeholders.
+     * @param {Map<string, string>} protectedBlocks Map of placeholders to original content.
+     * @returns {string} The text with original blocks restored.
+     */
+    restoreProtectedBlocks(text, protectedBlocks) {
+        if (!protectedBlocks.size) {
+            return text;
+        }
+        // One pass over the text. Blocks extracted later can contain earlier ones (an outer
+        // HTML element holds the placeholder of an inner one), so restored content is restored in turn.
+        const placeholderRegex = new RegExp(this.placeholderRegex.source, 'g');
+        const restore = content => content.replace(placeholderRegex, placeholder =>
+            protectedBlocks.has(placeholder) ? restore(protectedBlocks.get(placeholder)) : placeholder);
+        return restore(text);
+    }
+
+    /**
+     * Protect height measurements from quote processing
+     * Handles patterns like 5'10", 6'2", etc.
+     * @param {string} text The input text
+     * @returns {{text: string, heightMeasurements: Map<string, string>}} Object with text containing placeholders and a map of placeholders to original measurements
+     */
+    protectHeightMeasurements(text) {
+        const heightMeasurements = new Map();
+        let processedText = text;
+        let index = 0;
+        const generatePlaceholder = () => `__HEIGHT_MEASUREMENT_${index++}__`;
+
+        // Match height measurements: digit(s) + ' + digit(s) + "
+        // Examples: 5'10", 6'2", 10'11"
+        const heightRegex = /\d+'\d{1,2}"/g;
+        
+        processedText = processedText.replace(heightRegex, (match) => {
+            const placeholder = generatePlaceholder();
+            heightMeasurements.set(placeholder, match);
+            return placeholder;
+        });
+
+        return { text: processedText, heightMeasurements };
+    }
+
+    /**
+     * Restore height measurements by replacing placeholders
+     * @param {string} text The text containing placeholders
+     * @param {Map<string, string>} heightMeasurements Map of placeholders to original measurements
+     * @returns {string} The text with original height measurements restored
+     */
+    restoreHeightMeasurements(text, heightMeasurements) {
+        if (!heightMeasurements.size) {
+            return text;
+        }
+        return text.replace(/__HEIGHT_MEASUREMENT_\d+__/g, placeholder => heightMeasurements.get(placeholder) ?? placeholder);
+    }
+
+    /**
+     * Fix single bold words at the start of lines by converting them to bold-italic
+     * and wrapping the rest of the line, up to the first quote, in italics if needed
+     * @param {object} document The document tree
+     */
+    fixSingleWordEmphasisAtLineStart(document) {
+        for (const line of document.children) {
+            const start = line.children.findIndex(node => !isWhitespace(node));
+            if (line.children[start]?.type !== 'strong') continue;
+
+            let end = line.children.findIndex((node, index) => index > start && isNarrationBoundary(node));
+            if (end === -1) end = line.children.length;
+            const { core, trailing } = splitWhitespace(line.children.slice(start, end));
+            line.children.splice(start, end - start, wrapNodes('emphasis', core), ...trailing);
+        }
+    }
+
+    /**
+     * Runs the full formatting pipeline on a piece of text.
+     * @param {string} text The input text
+     * @param {object} [options] Formatter settings; missing keys fall back to formatterDefaults
+     * @param {object[]} [trace] Receives the text after each stage, see traceText
+     * @returns {string} The formatted text, or the input unchanged if formatting is disabled or failed
+     */
+    processText(text, options = {}, trace = null) {
+        return this.runPipeline(text, options, trace).text;
+    }
+
+    /**
+     * Formats text like processText and maps the result back to the input, e.g. to put a caret
+     * back where it was. Slower than processText, since text stages are diffed to follow their changes.
+     * @param {string} text The input text
+     * @param {object} [options] Formatter settings
+     * @returns {{text: string, map: number[]}} The formatted text, and for every position in it
+     * (plus its end) the position in the input it came from
+     */
+    processTextWithMap(text, options = {}) {
+        return this.runPipeline(text, options, null, true);
+    }
+
+    /**
+     * Runs the pipeline for processText and processTextWithMap.
+     * @param {string} text The input text
+     * @param {object} options Formatter settings
+     * @param {object[]|null} trace Receives the text after each stage
+     * @param {boolean} [positions=false] Map the output back to the input
+     * @returns {{text: string, map: number[]|null}} The formatted text, and its position map if asked for
+     */
+    runPipeline(text, options, trace, positions = false) {
+        const unchanged = () => ({ text, map: positions ? Array.from({ length: text.length + 1 }, (_, index) => index) : null });
+        try {
+            const settings = { ...formatterDefaults, ...options };
+            const style = OUTPUT_STYLES[settings.style] ?? OUTPUT_STYLES.italic_narration;
+            const locale = LOCALE_PROFILES[settings.locale] ?? LOCALE_PROFILES.en;
+
+            if (!settings.enabled) {
+                trace?.push({ stage: 'disabled', name: "Formatting Disabled", enabled: false, text });
+                return unchanged();
+            }
+            const state = new PipelineState(this, text, locale, positions);
+
+            for (const { enabled, stage } of resolvePipeline(settings.pipeline)) {
+                if (enabled) {
+                    stage.run(this, state, settings, style, locale);
+                }
+                trace?.push({ stage: stage.id, name: stage.name, enabled, text: state.text, ...this.getNewPlaceholders(state, trace) });
+            }
+
+            // Placeholders must never end up in the output, even if a restore stage was disabled
+            const unrestored = state.text;
+            state.restore('heightMeasurements');
+            state.restore('protectedBlocks');
+            if (state.text !== unrestored) {
+                trace?.push({ stage: 'restoreLeftovers', name: "Restore Leftover Placeholders", enabled: true, text: state.text });
+            }
+
+            return { text: state.text, map: state.map };
+        } catch (error) {
+            console.error('Format Fixer error:', error);
+            trace?.push({ stage: 'error', name: "Error", enabled: true, text, error: error.message });
+            return unchanged();
+        }
+    }
+
+    /**
+     * Lists the placeholders a stage added, for the trace.
+     * @param {{protectedBlocks: Map<string, string>, heightMeasurements: Map<string, string>}} state Pipeline state
+     * @param {object[]} trace Steps traced so far
+     * @returns {{placeholders?: Object<string, string>}} The new placeholders and their content, nothing if there are none
+     */
+    getNewPlaceholders(state, trace) {
+        const known = new Set(trace.flatMap(step => Object.keys(step.placeholders ?? {})));
+        const added = [...state.protectedBlocks, ...state.heightMeasurements].filter(([placeholder]) => !known.has(placeholder));
+        return added.length ? { placeholders: Object.fromEntries(added) } : {};
+    }
+
+    /**
+     * Formats text while recording the text after every pipeline stage, to find the stage that
+     * breaks it. Intermediate texts show protected content as placeholders; each step lists the
+     * placeholders its stage added. The passes are also kept in debugLog.
+     * @param {string} text The input text
+     * @param {object} [options] Formatter settings
+     * @param {object} [traceOptions]
+     * @param {boolean} [traceOptions.untilStable=false] Trace passes until the output stops changing, up to options.maxPasses
+     * @returns {{input: string, output: string, passes: {input: string, output: string, steps: {stage: string, name: string, enabled: boolean, text: string, placeholders?: Object<string, string>, error?: string}[]}[]}}
+     * The input, the final output and every pass with its steps
+     */
+    traceText(text, options = {}, { untilStable = false } = {}) {
+        const maxPasses = untilStable ? Math.max(1, options.maxPasses ?? formatterDefaults.maxPasses) : 1;
+        const seen = new Set([text]);
+        const passes = [];
+        let current = text;
+
+        for (let pass = 1; pass <= maxPasses; pass++) {
+            const steps = [];
+            const next = this.processText(current, options, steps);
+            passes.push({ input: current, output: next, steps });
+            if (next === current || seen.has(next)) {
+                current = next;
+                break;
+            }
+            seen.add(next);
+            current = next;
+        }
+
+        this.debugLog = passes;
+        return { input: text, output: current, passes };
+    }
+
+    /**
+     * Runs the pipeline repeatedly until the output stops changing.
+     * A single pass doesn't always settle: some stages add markers that earlier stages
+     * would have handled differently. Stops early when an output repeats an older one,
+     * since the passes would then cycle forever.
+     * @param {string} text The input text
+     * @param {object} [options] Formatter settings; maxPasses caps the number of passes
+     * @param {object} [passOptions]
+     * @param {boolean} [passOptions.positions=false] Map the output back to the input, like processTextWithMap
+     * @returns {{text: string, map: number[]|null, passes: number, stable: boolean, oscillating: boolean}} The last output,
+     * its position map if asked for, how many passes ran, whether the last pass changed nothing, and whether outputs started repeating
+     */
+    processUntilStable(text, options = {}, { positions = false } = {}) {
+        const maxPasses = Math.max(1, options.maxPasses ?? formatterDefaults.maxPasses);
+        const seen = new Set([text]);
+        let current = text;
+        let map = positions ? Array.from({ length: text.length + 1 }, (_, index) => index) : null;
+
+        for (let passes = 1; passes <= maxPasses; passes++) {
+            const next = this.runPipeline(current, options, null, positions);
+            if (positions) {
+                map = next.map.map(position => map[position]);
+            }
+            if (next.text === current) {
+                return { text: next.text, map, passes, stable: true, oscillating: false };
+            }
+            if (seen.has(next.text)) {
+                return { text: next.text, map, passes, stable: false, oscillating: true };
+            }
+            seen.add(next.text);
+            current = next.text;
+        }
+
+        return { text: current, map, passes: maxPasses, stable: false, oscillating: false };
+    }
+
+    /**
+     * Formats only the lines a selection touches, for formatting part of a message being written.
+     * Quotes and emphasis never span lines, so whole lines can be formatted on their own; the range
+     * grows past any protected block or fenced code it would cut through. Whitespace around it is kept.
+     * Without a selection the whole text is formatted. The selection is mapped into the result.
+     * @param {string} text The full text
+     * @param {number} selectionStart Start of the selection
+     * @param {number} selectionEnd End of the selection, equal to the start for a caret
+     * @param {object} [options] Formatter settings; untilStable runs passes up to options.maxPasses
+     * @returns {{start: number, end: number, replacement: string, selectionStart: number, selectionEnd: number, passes: number, stable: boolean, oscillating: boolean}}
+     * The range of the input that was formatted, its formatted text, the selection in the new text,
+     * and how the passes went, as returned by processUntilStable
+     */
+    formatSelection(text, selectionStart, selectionEnd, options = {}) {
+        const settings = { ...formatterDefaults, ...options };
+        let start = 0;
+        let end = text.length;
+        if (selectionEnd > selectionStart) {
+            // Lines of the document tree, which keep fenced code together. Newlines inside
+            // protected blocks are masked, so they never end a line either.
+            const masked = this.maskProtectedBlocks(text, settings, { newlines: true });
+            const { children: lines } = this.parseDocument(masked, LOCALE_PROFILES[settings.locale] ?? LOCALE_PROFILES.en);
+            // A selection of whole lines ends after the last newline, don't take in the next line
+            const last = text[selectionEnd - 1] === '\n' ? selectionEnd - 1 : selectionEnd;
+            start = lines.find(line => line.end >= selectionStart).start;
+            end = lines.findLast(line => line.start <= last).end;
+        }
+        const range = text.slice(start, end);
+        start += range.length - range.trimStart().length;
+        end -= range.length - range.trimEnd().length;
+        if (start >= end) {
+            return { start, end, replacement: text.slice(start, end), selectionStart, selectionEnd, passes: 0, stable: true, oscillating: false };
+        }
+
+        const input = text.slice(start, end);
+        const result = settings.untilStable
+            ? this.processUntilStable(input, settings, { positions: true })
+            : { ...this.processTextWithMap(input, settings), passes: 1, stable: true, oscillating: false };
+        const { text: replacement, map, passes, stable, oscillating } = result;
+
+        // The first output position that comes from the input position or after it
+        const mapPosition = position => {
+            if (position <= start) return position;
+            if (position >= end) return position + replacement.length - input.length;
+            const index = map.findIndex(source => source >= position - start);
+            return start + (index === -1 ? replacement.length : index);
+        };
+        return { start, end, replacement, selectionStart: mapPosition(selectionStart), selectionEnd: mapPosition(selectionEnd), passes, stable, oscillating };
+    }
+
+    /**
+     * Formats the partial text of a reply that is still being streamed.
+     * Only the settled part is formatted: complete lines plus the start of the current line up to
+     * the last point where its quotes and asterisks are balanced. The pending rest is appended as
+     * written, minus its asterisks, so half-open emphasis doesn't show up as stray markers and text
+     * doesn't change style back and forth while tokens arrive. Unclosed reasoning, HTML comment,
+     * code blocks and protected regions at the end are left alone instead of swallowing the text after them.
+     * Once the reply is complete and balanced, the result is the same as formatting it in one go.
+     * @param {string} text The partial text
+     * @param {object} [options] Formatter settings
+     * @param {function(string): string} [format] Formats the settled part, processText by default
+     * @returns {string} The text to display
+     */
+    processStreamingText(text, options = {}, format = settled => this.processText(settled, options)) {
+        const locale = LOCALE_PROFILES[options.locale] ?? LOCALE_PROFILES.en;
+        const { settled, pending, open } = this.splitStreamingText(text, locale, options.protectedRegions, options.reasoningDelimiters);
+        const body = settled.trimEnd();
+        const formatted = body ? format(body) : '';
+        // A list marker at the start of the pending line isn't emphasis, keep it
+        const marker = this.lineMarkerRegex.exec(pending)[0];
+        return formatted + settled.slice(body.length) + marker + pending.slice(marker.length).replace(/\*/g, '') + open;
+    }
+
+    /**
+     * Splits partial text into the part that can be formatted and the parts that are still being written.
+     * @param {string} text The partial text
+     * @param {object} [locale] Locale profile, for its quote marks
+     * @param {object[]} [regions] Protected region rules
+     * @param {object[]} [reasoning] Reasoning delimiters
+     * @returns {{settled: string, pending: string, open: string}} The settled text, the unbalanced rest
+     * of the current line, and an unclosed block at the end
+     */
+    splitStreamingText(text, locale = LOCALE_PROFILES.en, regions = DEFAULT_PROTECTED_REGIONS, reasoning = DEFAULT_REASONING_DELIMITERS) {
+        const { closing } = getQuotePatterns(locale);
+        const openStart = Math.min(...[
+            ...reasoning.filter(entry => entry.enabled !== false && entry.open && entry.close)
+                .map(({ open, close }) => this.findUnclosed(text, open, close)),
+            this.findUnclosed(text, '<!--', '-->'),
+            ...regions.filter(region => region.enabled !== false).map(region => this.findUnclosedRegion(text, region)),
+            // A tag that is still being written, e.g. "<thi"
+            /<[^<>\s]*$/.exec(text)?.index ?? text.length,
+            // Code fences come in pairs, an odd count leaves the last one open
+            (text.split('```').length % 2 === 0) ? text.lastIndexOf('```') : text.length,
+        ]);
+        const open = text.slice(openStart);
+        const body = text.slice(0, openStart);
+
+        const lineStart = body.lastIndexOf('\n') + 1;
+        const line = body.slice(lineStart);
+        let openQuote = null;
+        let asterisks = 0;
+        let inCode = false;
+        let balancedEnd = 0;
+        // List and blockquote markers don't count towards the balance
+        for (let i = this.lineMarkerRegex.exec(line)[0].length; i < line.length; i++) {
+            const char = line[i];
+            if (char === '`') {
+                inCode = !inCode;
+            } else if (!inCode && openQuote !== null && char === closing.get(openQuote)) {
+                openQuote = null;
+            } else if (!inCode && openQuote === null && closing.has(char)) {
+                openQuote = char;
+            } else if (!inCode && char === '*') {
+                asterisks++;
+            }
+            const balanced = !inCode && openQuote === null && asterisks % 2 === 0;
+            if (balanced && (i === line.length - 1 || /\s/.test(line[i + 1]))) {
+                balancedEnd = i + 1;
+            }
+        }
+
+        return {
+            settled: body.slice(0, lineStart + balancedEnd),
+            pending: line.slice(balancedEnd),
+            open,
+        };
+    }
+
+    /**
+     * Finds the last opening delimiter that has no closing delimiter after it.
+     * @param {string} text The input text
+     * @param {string} opening Opening delimiter
+     * @param {string} closing Closing delimiter
+     * @returns {number} Index of the unclosed opening delimiter, or the text length if there is none
+     */
+    findUnclosed(text, opening, closing) {
+        const index = text.lastIndexOf(opening);
+        return index !== -1 && text.indexOf(closing, index + opening.length) === -1 ? index : text.length;
+    }
+
+    /**
+     * Lists formatting problems in text without changing it. Protected blocks and regions aren't checked.
+     * If no rule finds anything but the formatter would still change the text, the change is
+     * reported as an 'other' finding, so text without findings is text the formatter leaves alone.
+     * @param {string} text The input text
+     * @param {object} [options] Formatter settings
+     * @returns {{code: string, message: string, index: number, line: number, column: number, excerpt: string, fix: string}[]}
+     * Findings in text order: the rule code (see LINT_RULES), the position (index, and 1-based line and
+     * column), the offending text and its suggested replacement
+     */
+    lintText(text, options = {}) {
+        const settings = { ...formatterDefaults, ...options };
+        if (!settings.enabled || !text) {
+            return [];
+        }
+        const style = OUTPUT_STYLES[settings.style] ?? OUTPUT_STYLES.italic_narration;
+        const locale = LOCALE_PROFILES[settings.locale] ?? LOCALE_PROFILES.en;
+
+        const findings = [];
+        const masked = this.maskProtectedBlocks(text, settings);
+        let offset = 0;
+        for (const line of masked.split('\n')) {
+            this.lintLine(line, text.slice(offset, offset + line.length), style, locale)
+                .forEach(finding => findings.push({ ...finding, index: finding.index + offset }));
+            offset += line.length + 1;
+        }
+
+        if (!findings.length) {
+            const formatted = this.processUntilStable(text, settings).text;
+            if (formatted !== text) {
+                let prefix = 0;
+                while (prefix < text.length && text[prefix] === formatted[prefix]) prefix++;
+                let suffix = 0;
+                while (suffix < text.length - prefix && suffix < formatted.length - prefix
+                    && text[text.length - 1 - suffix] === formatted[formatted.length - 1 - suffix]) suffix++;
+                findings.push({ code: 'other', index: prefix, length: text.length - prefix - suffix, fix: formatted.slice(prefix, formatted.length - suffix) });
+            }
+        }
+
+        return findings
+            .sort((a, b) => a.index - b.index)
+            .map(({ code, index, length, fix }) => {
+                const before = text.slice(0, index).split('\n');
+                return {
+                    code,
+                    message: LINT_RULES[code],
+                    index,
+                    line: before.length,
+                    column: before[before.length - 1].length + 1,
+                    excerpt: text.slice(index, index + length),
+                    fix,
+                };
+            });
+    }
+
+    /**
+     * Replaces the content of protected blocks and regions, and height measurements, with mask characters
+     * of the same length. Regions formatted separately are masked too; reasoning is always masked.
+     * @param {string} text The input text
+     * @param {object} settings Formatter settings
+     * @param {object} [maskOptions]
+     * @param {boolean} [maskOptions.newlines=false] Mask newlines inside protected content too
+     * @returns {string} The masked text, as long as the input
+     */
+    maskProtectedBlocks(text, settings, { newlines = false } = {}) {
+        const { text: extracted, protectedBlocks } = this.extractProtectedBlocks(text, settings.protectedRegions,
+            content => content, { delimiters: settings.reasoningDelimiters, mode: 'protect' });
+        const { text: measured, heightMeasurements } = this.protectHeightMeasurements(extracted);
+        const mask = content => content.replace(newlines ? /[^]/g : /[^\n]/g, LINT_MASK);
+        const masks = new Map();
+        for (const [placeholder, content] of protectedBlocks) {
+            masks.set(placeholder, mask(this.restoreProtectedBlocks(content, protectedBlocks)));
+        }
+        const heightMasks = new Map([...heightMeasurements].map(([placeholder, measurement]) => [placeholder, mask(measurement)]));
+        const masked = this.restoreProtectedBlocks(this.restoreHeightMeasurements(measured, heightMasks), masks);
+        // Extraction only swaps content for placeholders, but never report positions in the wrong place
+        return masked.length === text.length ? masked : text;
+    }
+
+    /**
+     * Checks one line of masked text. Asterisk runs are paired the way markdown pairs them: a run
+     * after a space opens emphasis, a run before a space closes it.
+     * @param {string} line The masked line
+     * @param {string} original The same line before masking, for excerpts and fixes
+     * @param {object} style Output style
+     * @param {object} locale Locale profile
+     * @returns {{code: string, index: number, length: number, fix: string}[]} Findings, indexed within the line
+     */
+    lintLine(line, original, style, locale) {
+        const findings = [];
+        const add = (code, index, length, fix) => findings.push({ code, index, length, fix });
+        const { open, inner, close, closing } = getQuotePatterns(locale);
+        const spacedQuotes = new Set(locale.spacedQuotes.flat());
+        const isSpace = char => char === undefined || /\s/.test(char);
+        const chars = line.split('');
+
+        // Quotes wrapped in asterisks; their asterisks are left out of the pairing below
+        const wrappedRegex = new RegExp(`(?<![^\\s])(\\*+)[ \\t]*(${open}${inner}*${close})[ \\t]*\\1(?![\\p{L}\\p{N}*])`, 'gu');
+        for (const match of line.matchAll(wrappedRegex)) {
+            add('wrapped-quote', match.index, match[0].length, match[2]);
+            const closingStart = match.index + match[0].length - match[1].length;
+            for (let i = 0; i < match[1].length; i++) {
+                chars[match.index + i] = LINT_MASK;
+                chars[closingStart + i] = LINT_MASK;
+            }
+        }
+
+        const narration = [];
+        let quoteStack = [];
+        let quote = null;
+        let plain = null;
+        const checkNarration = style.narration === 'italic' && !this.optionMarkerRegex.test(line.trimStart());
+        const inItalics = () => narration.some(run => run.length !== 2);
+        const flushPlain = () => {
+            if (plain) {
+                add('plain-narration', plain.start, plain.end - plain.start, `*${original.slice(plain.start, plain.end)}*`);
+                plain = null;
+            }
+        };
+        const reportUnpaired = (stack, inQuote) => {
+            for (const run of stack) {
+                const code = inQuote ? 'asterisk-in-quote' : run.length === 2 ? 'unpaired-bold' : 'unpaired-italic';
+                add(code, run.index, run.length, '');
+            }
+        };
+
+        for (let i = 0; i < chars.length;) {
+            const char = chars[i];
+            if (char === '*') {
+                let end = i;
+                while (chars[end] === '*') end++;
+                const run = { index: i, length: end - i, spaceBefore: isSpace(chars[i - 1]), spaceAfter: isSpace(chars[end]) };
+                const stack = quote ? quoteStack : narration;
+                const wasItalic = inItalics();
+                this.pairLintRun(stack, run, original, style, add);
+                if (!quote && !wasItalic && inItalics()) {
+                    flushPlain();
+                }
+                i = end;
+                continue;
+            }
+
+            if (quote && char === closing.get(quote.char)) {
+                const spaces = original.slice(quote.index + 1, i).match(/\s*$/)[0].length;
+                if (spaces && i - spaces > quote.index + 1 && !spacedQuotes.has(char)) {
+                    add('quote-spacing', i - spaces, spaces + 1, char);
+                }
+                reportUnpaired(quoteStack, true);
+                quoteStack = [];
+                quote = null;
+            } else if (!quote && closing.has(char)) {
+                flushPlain();
+                quote = { char, index: i };
+                const spaces = original.slice(i + 1).match(/^\s*/)[0].length;
+                if (spaces && i + 1 + spaces < line.length && !spacedQuotes.has(char)) {
+                    add('quote-spacing', i, spaces + 1, char);
+                }
+            } else if (checkNarration && !quote && !inItalics() && !isSpace(char) && char !== LINT_MASK) {
+                if (plain) {
+                    plain.end = i + 1;
+                } else if (/[\p{L}\p{N}]/u.test(char)) {
+                    plain = { start: i, end: i + 1 };
+                }
+            }
+            i++;
+        }
+
+        flushPlain();
+        if (quote) {
+            add('unclosed-quote', quote.index, line.length - quote.index, original.slice(quote.index).trimEnd() + closing.get(quote.char));
+            reportUnpaired(quoteStack, true);
+        }
+        reportUnpaired(narration, false);
+
+        for (const match of line.matchAll(/(?<=[^\s\u0000]) {2,}(?=[^\s\u0000])/g)) {
+            add('extra-space', match.index, match[0].length, ' ');
+        }
+        if (locale.noSpaceBefore) {
+            const punctuation = locale.noSpaceBefore.replace(/[\]\\^-]/g, '\\$&');
+            for (const match of line.matchAll(new RegExp(`(?<=[^\\s\\u0000*])[ \\t]+([${punctuation}])`, 'g'))) {
+                add('space-before-punctuation', match.index, match[0].length, match[1]);
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Pairs an asterisk run with an open run of the same length, or opens a new one.
+     * A run of three can be closed by a run of one and a run of two and the other way around.
+     * @param {object[]} stack Open runs, innermost last; changed in place
+     * @param {{index: number, length: number, spaceBefore: boolean, spaceAfter: boolean}} run The asterisk run
+     * @param {string} line The original line, for fixes
+     * @param {object} style Output style
+     * @param {function} add Adds a finding
+     */
+    pairLintRun(stack, run, line, style, add) {
+        // A run after a space and before a word can only open
+        const canClose = !run.spaceBefore || run.spaceAfter;
+        const match = canClose ? stack.findLastIndex(entry => entry.length === run.length) : -1;
+
+        if (match !== -1) {
+            const opener = stack[match];
+            stack.splice(match, 1);
+            const start = opener.index + opener.length;
+            const content = line.slice(start, run.index);
+            const marker = '*'.repeat(run.length);
+            if (opener.spaceAfter || run.spaceBefore) {
+                add('emphasis-spacing', opener.index, run.index + run.length - opener.index, marker + content.trim() + marker);
+            } else if (run.length === 1 && !opener.split && stack.some(entry => entry.length !== 2)) {
+                add('nested-italics', opener.index, run.index + run.length - opener.index,
+                    style.narration === 'italic' ? `**${content}**` : content);
+            }
+            return;
+        }
+
+        const last = stack[stack.length - 1];
+        if (canClose && last?.length === 3 && run.length < 3) {
+            // ***bold** italic* and ***italic* bold**
+            last.length -= run.length;
+            last.split = true;
+            return;
+        }
+        const previous = stack[stack.length - 2];
+        if (canClose && run.length === 3 && last && previous && last.length + previous.length === 3) {
+            // *italic **bold*** and **bold *italic***
+            stack.splice(-2);
+            return;
+        }
+        stack.push(run);
+    }
+
+    /**
+     * Uncensors text by replacing censored versions with original words.
+     * Rules handle any number of underscores between the required characters.
+     * A rule's variants pick a different word depending on how the match ends.
+     * @param {string} text The input text potentially containing censored words.
+     * @param {{pattern: string, replacement: string, variants?: Object<string, string>, enabled?: boolean}[]} [rules] Uncensor rules
+     * @returns {string} The uncensored text.
+     */
+    uncensorText(text, rules = DEFAULT_UNCENSOR_RULES) {
+        let result = text;
+
+        // Apply each uncensor rule
+        for (const rule of rules) {
+            const pattern = rule.enabled === false ? null : this.compileUncensorPattern(rule.pattern);
+            if (!pattern) continue;
+
+            // Longest suffix first, so "ies" wins over "s"
+            const variants = Object.entries(rule.variants ?? {}).sort(([a], [b]) => b.length - a.length);
+
+            result = result.replace(pattern, (match) => {
+                const lowerMatch = match.toLowerCase();
+                const originalWord = variants.find(([suffix]) => lowerMatch.endsWith(suffix.toLowerCase()))?.[1] ?? rule.replacement;
+
+                // Preserve original capitalization
+                // Case 1: ALL CAPS (e.g., "F__K" -> "FUCK")
+                if (match === match.toUpperCase()) {
+                    return originalWord.toUpperCase();
+                }
+                // Case 2: Capitalized (e.g., "P___nis" -> "Penis")
+                if (match[0] === match[0].toUpperCase()) {
+                    return originalWord.charAt(0).toUpperCase() + originalWord.slice(1);
+                }
+                // Case 3: all lowercase (e.g., "c___m" -> "cum")
+                return originalWord;
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Compiles an uncensor rule pattern, caching the result.
+     * @param {string} pattern Regular expression source, matched globally and case-insensitively
+     * @returns {RegExp|null} The compiled pattern, or null if it is empty or invalid
+     */
+    compileUncensorPattern(pattern) {
+        if (!this.uncensorPatternCache.has(pattern)) {
+            let compiled = null;
+            try {
+                compiled = pattern ? new RegExp(pattern, 'gi') : null;
+            } catch (error) {
+                console.warn(`Format Fixer: invalid uncensor pattern "${pattern}":`, error.message);
+            }
+            this.uncensorPatternCache.set(pattern, compiled);
+        }
+        return this.uncensorPatternCache.get(pattern);
+    }
+
+    /**
+     * Stage 0: Normalize smart characters
+     * Converts various smart typography characters to their basic ASCII equivalents
+     */
+    normalizeSmartCharacters(text, locale = LOCALE_PROFILES.en) {
+        // Quote pairs within a line, the leftmost opening mark first
+        if (locale.normalizePairs) {
+            const marks = locale.normalizePairs.map(([open, closers]) => open + closers).join('');
+            const pattern = new RegExp(locale.normalizePairs.map(([open, closers]) => `${open}[^${marks}\\n]*[${closers}]`).join('|'), 'g');
+            text = text.replace(pattern, match => {
+                const [, , [open, close]] = locale.normalizePairs.find(([opening]) => match.startsWith(opening));
+                return open + match.slice(1, -1) + close;
+            });
+        }
+
+        // Double quotes (including fullwidth and ornamental variants), as far as the locale doesn't use them
+        for (const [target, variants] of Object.entries(locale.normalize)) {
+            text = text.replace(new RegExp(`[${variants}]`, 'g'), target);
+        }
+
+        return text
+            // Single quotes and apostrophes (Not including backticks/graves)
+            .replace(/[\u2018\u2019\u02BB\u02C8\u02BC\u02BD\u02B9\u201B\uFF07\u02CA\u275B\u275C\u0313\u0314]/g, "'")
+            
+            // Dashes and hyphens (preserving em dash)
+            .replace(/[\u2010\u2043\u23BC\u23BD\uFE63\uFF0D]/g, '-')
+            .replace(/\u2013/g, '-')  // en dash to hyphen
+            .replace(/\u2015/g, '\u2014')  // horizontal bar to em dash
+            
+            // Ellipsis
+            .replace(/\u2026/g, '...')
+            
+            // Various spaces
+            .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000\uFEFF]/g, ' ')
+            
+            // Decorative characters. Bullets (\u2022, \u2219, \u25E6) are kept as list markers.
+            .replace(/[\u2043\u25D8\u2619\u2765\u2767]/g, '*')
+            
+            // Swung dash
+            .replace(/\u2053/g, '~');
+    }
+    
+    /**
+     * Parses text into the document tree the structural stages work on, see document-model.js.
+     * @param {string} text The text, protected content swapped for placeholders
+     * @param {object} [locale] Locale profile, for its quote marks
+     * @param {Map<string, string>} [protectedBlocks] Content of the placeholders; lines starting with a
+     * list or blockquote marker become item nodes
+     * @returns {object} The document node
+     */
+    parseDocument(text, locale = LOCALE_PROFILES.en, protectedBlocks = new Map()) {
+        const itemMarkers = new Set([...protectedBlocks]
+            .filter(([, content]) => content.trim() && this.lineMarkerRegex.exec(content)[0] === content)
+            .map(([placeholder]) => placeholder));
+        return parseDocument(text, {
+            closing: getQuotePatterns(locale).closing,
+            placeholders: this.placeholderRegex,
+            optionMarker: this.optionMarkerRegex,
+            itemMarkers,
+        });
+    }
+
+    /**
+     * Stage 1: Process quotes
+     * Only removes asterisks that directly wrap quotes, and unpaired ones touching a quote.
+     * Emphasis starting or ending with a quote lets go of it: *"Hi," she said* becomes "Hi," *she said*
+     */
+    processQuotes(document) {
+        forEachChildList(document, children => {
+            for (let i = 0; i < children.length; i++) {
+                const node = children[i];
+                if (node.type === 'marker' && node.value === '*'
+                    && (children[i - 1]?.type === 'dialogue' || children[i + 1]?.type === 'dialogue')) {
+                    removeNode(children, i--);
+                    continue;
+                }
+                if (node.type !== 'emphasis') continue;
+
+                const inner = node.children.slice();
+                const before = inner[0]?.type === 'dialogue' ? [inner.shift()] : [];
+                const after = inner.at(-1)?.type === 'dialogue' ? [inner.pop()] : [];
+                if (!before.length && !after.length) continue;
+
+                const { leading, core, trailing } = splitWhitespace(inner);
+                const replacement = [...before, ...leading, ...(core.length ? [wrapNodes('emphasis', core)] : []), ...trailing, ...after];
+                children.splice(i, 1, ...replacement);
+                i += replacement.length - 1;
+            }
+        });
+    }
+
+    /**
+     * Stage 1.5: Handles consecutive double quotes by removing the redundant ones
+     * Converts patterns like ""text"" to "text"
+     */
+    cleanupConsecutiveQuotes(document) {
+        forEachChildList(document, children => children.forEach(node => {
+            if (node.type === 'dialogue') {
+                node.open = node.open[0];
+                node.close = node.close.slice(0, 1);
+            }
+        }));
+    }
+
+    /**
+     * Stage 2: Process nested emphasis
+     * Converts single-word italics to bold, for styles where italics are taken by narration.
+     * Italics that make up a whole narrative section are narration, such as a one-word beat
+     * between quotes that an earlier pass italicized, and are kept.
+     */
+    processNestedEmphasis(document, style = OUTPUT_STYLES.italic_narration) {
+        if (style.emphasis !== 'bold') {
+            return;
+        }
+        // Only actual words (letters in any script, numbers, and allowed punctuation)
+        const word = /^[\p{L}\p{N}_'-]+[?!./,:\\]?$/u;
+        const narration = new Set(document.children
+            .filter(line => line.type !== 'option')
+            .flatMap(line => getNarrationRuns(line.children)));
+        forEachChildList(document, children => children.forEach(node => {
+            if (node.type === 'emphasis' && !narration.has(node) && node.children.every(child => child.type === 'text') && word.test(serializeNodes(node.children))) {
+                node.type = 'strong';
+            }
+        }));
+    }
+
+    /**
+     * Stage 3: Clean up quadruple asterisks
+     * Reduces runs of 4 or more asterisks to 3, which can then pair up
+     */
+    cleanupQuadrupleAsterisks(document) {
+        forEachChildList(document, (children, parent) => {
+            const runs = children.filter(node => node.type === 'marker' && node.value.length > 3);
+            if (runs.length) {
+                runs.forEach(node => { node.value = '***'; });
+                parent.children = pairEmphasis(children);
+            }
+        });
+    }
+
+    /**
+     * Stage 4: Clean up unpaired double asterisks
+     * Removes ** markers that have no partner and touch a word. Paired ones are strong nodes
+     * by now, so bold spanning several words is kept.
+     */
+    cleanupUnpairedDoubleAsterisks(document) {
+        forEachChildList(document, children => {
+            for (let i = children.length - 1; i >= 0; i--) {
+                if (children[i].type === 'marker' && children[i].value === '**'
+                    && (/[\p{L}\p{N}_'"?!./,:\\-]/u.test(lastChar(children[i - 1])) || /[\p{L}\p{N}_'"-]/u.test(firstChar(children[i + 1])))) {
+                    removeNode(children, i);
+                }
+            }
+        });
+    }
+
+    /**
+     * Stage 4.1: Clean up lone asterisks within quotes
+     * Removes unpaired single asterisks inside quotes, which are broken formatting, and collapses
+     * the spaces they leave. Where emphasis is written in bold, italics inside quotes are removed too.
+     */
+    cleanupLoneAsterisks(document, style = OUTPUT_STYLES.italic_narration) {
+        forEachChildList(document, (children, parent) => {
+            if (parent.type !== 'dialogue') return;
+            for (let i = children.length - 1; i >= 0; i--) {
+                const node = children[i];
+                if (node.type === 'marker' && node.value === '*') {
+                    removeNode(children, i);
+                } else if (node.type === 'emphasis' && style.emphasis !== 'italic') {
+                    children.splice(i, 1, ...node.children);
+                }
+            }
+            forEachChildList(parent, nodes => nodes.forEach(node => {
+                if (node.type === 'text') node.value = node.value.replace(/\s{2,}/g, ' ');
+            }));
+        });
+    }
+
+    /**
+     * Stage 4.2: Clean up spaces between asterisks and text
+     * Pairs single asterisks that couldn't pair because of the spaces just inside them
+     * Example: "* text *" becomes "*text*"
+     */
+    cleanupAsteriskSpacing(document) {
+        const isSingle = node => node?.type === 'marker' && node.value === '*';
+        forEachChildList(document, children => {
+            for (let i = 0; i < children.length; i++) {
+                if (!isSingle(children[i]) || /\S/.test(lastChar(children[i - 1]))) continue;
+                let j = i + 1;
+                while (j < children.length && !hasAsterisks(children[j])) j++;
+                if (!isSingle(children[j]) || /\S/.test(firstChar(children[j + 1]))) continue;
+
+                const { core } = splitWhitespace(children.slice(i + 1, j));
+                if (core.length) {
+                    children.splice(i, j - i + 1, wrapNodes('emphasis', core));
+                }
+            }
+        });
+    }
+
+    /**
+     * Stage 4.3: Clean up spaces between quotation marks and text
+     * Fixes cases where there are unnecessary spaces between quotes and text
+     * Example: '" text "' becomes '"text"'
+     * Quote pairs the locale writes with inner spaces get exactly one: '«text »' becomes '« text »'
+     */
+    cleanupQuoteSpacing(document, locale = LOCALE_PROFILES.en) {
+        forEachChildList(document, children => children.forEach(node => {
+            if (node.type !== 'dialogue' || !node.close) return;
+            const { leading, core, trailing } = splitWhitespace(node.children);
+            if (!core.length) return;
+
+            const padded = locale.spacedQuotes.some(([open, close]) => open === node.open[0] && close === node.close[0]);
+            const padding = (spaces, at) => padded
+                ? [{ type: 'text', value: ' ', start: spaces[0]?.start ?? at, end: spaces.at(-1)?.end ?? at }]
+                : [];
+            node.children = [...padding(leading, core[0].start), ...core, ...padding(trailing, core.at(-1).end)];
+        }));
+    }
+
+    /**
+     * Stage 5: Process narrative sections
+     * Adds italics to narrative text between quotes, or removes them for styles with plain narration.
+     * Dialogue, code and quotes wrapped in asterisks end a section; option lines are left out.
+     * Also empties blank lines and trims the text.
+     */
+    processNarrative(document, style = OUTPUT_STYLES.italic_narration, locale = LOCALE_PROFILES.en) {
+        for (const line of document.children) {
+            if (line.type === 'option') continue;
+            if (line.children.every(isWhitespace)) {
+                line.children = [];
+                continue;
+            }
+
+            const children = [];
+            let section = [];
+            const endSection = next => {
+                const previous = children.at(-1);
+                children.push(...(style.narration === 'italic'
+                    ? this.italicizeNarration(section, previous, next, locale)
+                    : this.unwrapNarration(section, style, locale)));
+                section = [];
+            };
+            for (const node of line.children) {
+                if (isNarrationBoundary(node)) {
+                    endSection(node);
+                    children.push(node);
+                } else {
+                    section.push(node);
+                }
+            }
+            endSection(null);
+            line.children = children;
+        }
+
+        // Like trimming the text: no blank lines or spaces at either end
+        const lines = document.children;
+        while (lines.length > 1 && !lines[0].children.length) lines.shift();
+        while (lines.length > 1 && !lines.at(-1).children.length) lines.pop();
+        const { core: head, trailing } = splitWhitespace(lines[0].children);
+        lines[0].children = [...head, ...trailing];
+        const { leading, core: tail } = splitWhitespace(lines.at(-1).children);
+        lines.at(-1).children = [...leading, ...tail];
+    }
+
+    /**
+     * Wraps a narrative section in asterisks, unless it already is one italic run.
+     * Placeholders and spaces at the edges stay outside the asterisks, italics inside are merged
+     * into the new run, unpaired single asterisks are dropped. Where the locale wants it, a space separates the run from quotes next to it.
+     * Example: '__PROTECTED_BLOCK_PLACEHOLDER_0__She *smiled* at him. ' → '__PROTECTED_BLOCK_PLACEHOLDER_0__*She smiled at him.* '
+     * @param {object[]} section Nodes of the section
+     * @param {object} [previous] Node before the section on its line
+     * @param {object} [next] Node after the section on its line
+     * @param {object} [locale] Locale profile
+     * @returns {object[]} The section's new nodes
+     */
+    italicizeNarration(section, previous, next, locale = LOCALE_PROFILES.en) {
+        // Unpaired single asterisks are broken formatting, inside the new run they would pair up wrongly
+        section = [...section];
+        for (let i = section.length - 1; i >= 0; i--) {
+            if (section[i].type === 'marker' && section[i].value === '*') removeNode(section, i);
+        }
+        const isEdge = node => isWhitespace(node) || node.type === 'placeholder';
+        const first = section.findIndex(node => !isEdge(node));
+        if (first === -1) {
+            return section;
+        }
+        const last = section.findLastIndex(node => !isEdge(node));
+        const { leading, core, trailing } = splitWhitespace(section.slice(first, last + 1));
+        if (core.length === 1 && core[0].type === 'emphasis') {
+            return section;
+        }
+
+        const run = wrapNodes('emphasis', core.flatMap(node => node.type === 'emphasis' ? node.children : [node]));
+        const result = [...section.slice(0, first), ...leading, run, ...trailing, ...section.slice(last + 1)];
+        if (locale.spaceAroundQuotes) {
+            if (previous && !/\s/.test(firstChar(result[0]))) {
+                result.unshift({ type: 'text', value: ' ', start: result[0].start, end: result[0].start });
+            }
+            if (next && !/\s/.test(lastChar(result.at(-1)))) {
+                result.push({ type: 'text', value: ' ', start: result.at(-1).end, end: result.at(-1).end });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Removes asterisks that wrap narration rather than emphasis, for styles with plain narration.
+     * A run counts as narration when it spans several words and either fills the whole section
+     * or ends a sentence; in action style, when it is longer than the style's action limit.
+     * Bold nested inside an unwrapped run becomes italics, since italics are free again.
+     * Example: 'she said. *She smiled, eyes **bright**.*' → 'she said. She smiled, eyes *bright*.'
+     * @param {object[]} section Nodes of a narrative section
+     * @param {object} style The output style
+     * @param {object} [locale] Locale profile, for the closing quote marks a sentence may end with
+     * @returns {object[]} The section's new nodes
+     */
+    unwrapNarration(section, style, locale = LOCALE_PROFILES.en) {
+        const { core } = splitWhitespace(section);
+        const sentenceEnd = new RegExp(`[.!?](?:${getQuotePatterns(locale).close}|')?$`);
+
+        return section.flatMap((node, index) => {
+            // Only runs standing on their own, between spaces or at the edges of the section
+            if (node.type !== 'emphasis' || node.children[0]?.type === 'strong'
+                || /\S/.test(lastChar(section[index - 1])) || /\S/.test(firstChar(section[index + 1]))) {
+                return [node];
+            }
+
+            const content = serializeNodes(node.children);
+            const words = content.trim().split(/\s+/).length;
+            const isNarration = style.narration === 'action'
+                ? words > style.maxActionWords
+                : words > 1 && ((core.length === 1 && core[0] === node) || sentenceEnd.test(content));
+            if (!isNarration) {
+                return [node];
+            }
+            return node.children.map(child => child.type === 'strong' && !child.children.some(hasAsterisks) ? { ...child, type: 'emphasis' } : child);
+        });
+    }
+
+    /**
+     * Stage 6: Clean up excessive newlines
+     * Replaces any sequence of 3+ newlines with exactly 2
+     */
+    cleanupExcessNewlines(text) {
+        return text.replace(/\n{3,}/g, '\n\n');
+    }
+
+    /**
+     * Stage 6.5: Clean up excessive spaces
+     * Replaces any sequence of 2+ spaces with 1
+     * Also removes unnecessary spaces between words and punctuation marks, as far as the locale allows,
+     * and rejoins contractions split by tokenization ("I 've", "don 't"). Only pronouns and n't are
+     * rejoined, so single-quoted text like "the 's' key" or "say 'd is for dog'" keeps its space.
+     */
+    cleanupExcessSpaces(text, locale = LOCALE_PROFILES.en) {
+        return text.replace(/ {2,}/g, ' ')
+                   .replace(/ \.\.\. /g, '...')
+                   .replace(new RegExp(` ([${locale.noSpaceBefore}])`, 'g'), '$1')
+                   .replace(SPLIT_CONTRACTION_REGEX, (match, pronoun, ending, word, t) => `${pronoun ?? word}'${ending ?? t}`);
+    }
+
+    /**
+     * Stage 7: Merge nested emphasis
+     * Italics inside italics are merged into the outer run, and stray single asterisks inside
+     * italics are removed. Bold is kept, quotes inside italics are cleaned up on their own.
+     * Example: '*The cat was *very* cute.*' → '*The cat was very cute.*'
+     */
+    mergeNestedEmphasis(document) {
+        const merge = nodes => nodes.flatMap(node => {
+            if (node.type === 'emphasis') return merge(node.children);
+            if (node.type === 'marker' && node.value === '*') return [];
+            if (node.type === 'strong') node.children = merge(node.children);
+            if (node.type === 'dialogue') visit(node);
+            return [node];
+        });
+        const visit = node => node.children?.forEach(child => {
+            if (child.type === 'emphasis') {
+                child.children = merge(child.children);
+            } else {
+                visit(child);
+            }
+        });
+        visit(document);
+    }
+}
+
+// Dialogue, code and quotes wrapped in asterisks end a narrative section
+function isNarrationBoundary(node) {
+    return node.type === 'dialogue' || node.type === 'code' || isWrappedQuote(node);
+}
+
+// Italic runs that are a whole narrative section of a line, apart from spaces and placeholders
+function getNarrationRuns(nodes) {
+    const runs = [];
+    let section = [];
+    const endSection = () => {
+        const core = section.filter(node => !isWhitespace(node) && node.type !== 'placeholder');
+        if (core.length === 1 && core[0].type === 'emphasis') runs.push(core[0]);
+        section = [];
+    };
+    for (const node of nodes) {
+        if (isNarrationBoundary(node)) {
+            endSection();
+        } else {
+            section.push(node);
+        }
+    }
+    endSection();
+    return runs;
+}
+
+// *"text"*, **"text"** and ***"text"***
+function isWrappedQuote(node) {
+    if (node.type !== 'emphasis' && node.type !== 'strong') {
+        return false;
+    }
+    const { core } = splitWhitespace(node.children);
+    return core.length === 1 && (core[0].type === 'dialogue' || isWrappedQuote(core[0]));
+}